@@ -1,13 +1,74 @@
 import express from 'express';
 import multer from 'multer';
 import cors from 'cors';
-import csv from 'csv-parser';
-import XLSX from 'xlsx';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
+import {
+  DEFAULT_BRAND_COUNT,
+  DEFAULT_JSON_PROMPT_TEMPLATE,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_SYSTEM_PROMPT,
+  normalizeBrandCount,
+  formatProductInfo,
+  renderJobPrompt,
+  validateTemplate,
+  defaultColumnMapping,
+  validateColumnMapping
+} from './shared/promptTemplate.js';
+import { validateModelParams } from './shared/modelParams.js';
+import { normalizeWatchlist, validateWatchlist } from './shared/shareOfVoice.js';
+import { brandNormalizer, normalizeBrands, validateDictionary } from './shared/brandNames.js';
+import {
+  OUTPUT_FORMATS,
+  correctionPrompt,
+  parseStructured
+} from './shared/structuredOutput.js';
+import { parseBrands, brandColumns, rawBrandColumns, rationaleColumns, PARSE_STATUS } from './server/responseParser.js';
+import { parseProductFile } from './server/fileParser.js';
+import { EXPORT_FORMATS, exportFileName, writeExport } from './server/exporters.js';
+import {
+  acceptsSessionKey,
+  getModel,
+  getProvider,
+  hasApiKey,
+  listModels,
+  listProviders,
+  requestModel,
+  resolveModelParams,
+  supportedParams,
+  modelParamLimits
+} from './server/providers.js';
+import { requestDemo } from './server/demoProvider.js';
+import { SKIPPED, schedule } from './server/scheduler.js';
+import { CACHE_ENABLED, cacheKey, readCache, writeCache } from './server/cache.js';
+import { FIXTURE_MODE, FixtureMissError, readFixture, recordFixture } from './server/fixtures.js';
+import { ERROR_CATEGORY, withRetry, withTimeout } from './server/retry.js';
+import { addUsage, callCost, estimateJobCost, roundCost } from './server/pricing.js';
+import {
+  JobStoppedError,
+  createJob,
+  getJob,
+  loadJob,
+  listJobs,
+  listHistory,
+  isFinished,
+  isFailedResult,
+  jobResults,
+  serializeJob,
+  pauseJob,
+  resumeJob,
+  cancelJob,
+  pauseGate,
+  restoreJob
+} from './server/jobs.js';
+import { appendResult, listCheckpoints, loadCheckpoint, saveJobState } from './server/checkpoints.js';
+import { diffRuns } from './server/runDiff.js';
+import { previewJob, previewKeyProviders, previewRowCount } from './server/preview.js';
+import { addBrandAliases, loadBrandAliases, saveBrandAliases } from './server/brandAliases.js';
 
 dotenv.config();
 
@@ -37,168 +98,151 @@ const upload = multer({
   }
 });
 
-function generateDemoResponse(prompt, modelKey) {
-  const productMatch = prompt.match(/What are the top 5 brands for (.+?)\?/);
-  const product = productMatch ? productMatch[1] : 'Unknown Product';
-
-  const demoResponses = {
-    'gpt-4.1': [
-      `BrandA, BrandB, BrandC, BrandD, BrandE`,
-      `BrandX, BrandY, BrandZ, BrandAlpha, BrandBeta`
-    ],
-    'gpt-4o': [
-      `Brand1, Brand2, Brand3, Brand4, Brand5`
-    ],
-    'gpt-o3': [
-      `EcoBrand, MegaTools, SafeWare, UltraTech, HomePro`
-    ],
-    'claude-3.7': [
-      `PrecisionX, GreenLine, NovaBuilt, Zenith, CoreCraft`
-    ],
-    'claude-sonnet-4': [
-      `PrimeCraft, TechEdge, Endura, MaxHaus, VisionPro`
-    ],
-    'claude-opus-4': [
-      `Artisan+, Vertex, OmegaCo, Nexa, Futura`
-    ],
-    'deepseek-chat': [
-      `StratIQ, ClearEdge, BuildMate, AlphaPrime, SolidPro`
-    ],
-    'deepseek-coder': [
-      `DevToolX, IntegrateX, OpenFrame, CodeCraft, ModularLogic`
-    ]
-  };
+// Helper function to call different AI models. Each attempt waits for a
+// slot in the provider's queue, so retries count against its rate limit.
+// options.params are the model's generation parameters from resolveModelParams;
+// options.structured asks for structured (JSON) output.
+// Resolves with { text, usage, attempts, source } where source is 'api',
+// 'cache', 'demo' or 'replay'. options.shouldStop() is checked before every request;
+// returning a reason rejects with a JobStoppedError instead of calling out.
+// options.pauseGate() returns a promise to wait on while the job is paused.
+async function callAIModel(modelKey, prompt, options = {}) {
+  const { params, structured, iteration, ignoreCache, apiKeys, shouldStop, pauseGate } = options;
+  const model = getModel(modelKey);
 
-  const responses = demoResponses[modelKey] || demoResponses['gpt-4o'];
-  return responses[Math.floor(Math.random() * responses.length)] + ' [DEMO MODE - Real API keys required for actual AI responses]';
-}
+  const checkStopped = () => {
+    const reason = shouldStop && shouldStop();
+    if (reason) throw new JobStoppedError(reason);
+  };
+  const paused = () => (pauseGate ? pauseGate() : null);
 
+  // Queue a request with the provider. The scheduler hands it back if the job
+  // is paused or stopped by the time a slot is free; paused calls wait for the
+  // job to resume and then queue again.
+  const scheduleCall = async (task) => {
+    for (;;) {
+      await paused();
+      checkStopped();
+      const result = await schedule(model.provider, task, {
+        canStart: () => !paused() && !(shouldStop && shouldStop())
+      });
+      if (result !== SKIPPED) return result;
+    }
+  };
 
-// AI Model configurations
-const AI_MODELS = {
-  'gpt-4.1': { provider: 'openai', model: 'gpt-4-turbo' },
-  'gpt-4o': { provider: 'openai', model: 'gpt-4o' },
-  'gpt-o3': { provider: 'openai', model: 'o3-mini' },
-  'claude-3.7': { provider: 'anthropic', model: 'claude-3-5-haiku-20241022' },
-  'claude-sonnet-4': { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022' },
-  'claude-opus-4': { provider: 'anthropic', model: 'claude-3-opus-20240229' },
-  'deepseek-chat': { provider: 'deepseek', model: 'deepseek-chat' },
-  'deepseek-coder': { provider: 'deepseek', model: 'deepseek-coder' }
-};
-
-// Initialize AI clients
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
-import axios from 'axios';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+  checkStopped();
 
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+  const provider = getProvider(model.provider);
+  // Structured requests differ by more than their prompt, e.g. a response_format
+  const requestParams = structured ? { ...params, structured } : params;
+  const key = cacheKey({
+    provider: model.provider,
+    model: model.model,
+    prompt,
+    params: requestParams,
+    iteration
+  });
+  const fixtureTarget = { provider: model.provider, modelKey };
 
-// Helper function to call different AI models
-async function callAIModel(modelKey, prompt, retries = 3) {
-  const config = AI_MODELS[modelKey];
+  // Replay mode answers every real provider from its recordings, key or no key
+  if (FIXTURE_MODE === 'replay' && provider.type !== 'demo') {
+    const recorded = await readFixture(key, fixtureTarget);
+    if (!recorded) {
+      throw new FixtureMissError({ modelKey, iteration, prompt, key });
+    }
+    return { text: recorded.text, usage: recorded.usage || { inputTokens: 0, outputTokens: 0 }, attempts: 0, source: 'replay' };
+  }
 
-  // Demo mode - return fake responses if no API keys are configured
-  const hasApiKeys = (
-    (config.provider === 'openai' && process.env.OPENAI_API_KEY) ||
-    (config.provider === 'anthropic' && process.env.ANTHROPIC_API_KEY) ||
-    (config.provider === 'deepseek' && process.env.DEEPSEEK_API_KEY)
-  );
+  // Demo providers, and in demo mode any provider without an API key, answer
+  // from the seeded demo catalog. Their simulated errors go through the same
+  // retry policy, but the responses aren't cached - they're reproducible anyway.
+  const sessionKey = apiKeys?.[model.provider];
+  const isDemo = provider.type === 'demo' || !(sessionKey || hasApiKey(provider));
+  const request = (signal) => (isDemo
+    ? requestDemo(provider, model, prompt, options, signal)
+    : requestModel(model, prompt, { params, sessionKey, structured }, signal));
 
-  if (!hasApiKeys) {
-    // Return demo response
-    await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000)); // Simulate API delay
-    return generateDemoResponse(prompt, modelKey);
-  }
+  // Cached responses came from the provider too, so they're recorded as well
+  const record = (value) => (FIXTURE_MODE === 'record'
+    ? recordFixture(key, { ...fixtureTarget, model: model.model, request: { prompt, iteration, params: requestParams }, response: value })
+    : null);
 
-  // Check if API keys are available for real calls
-  if (config.provider === 'openai' && !process.env.OPENAI_API_KEY) {
-    throw new Error('OpenAI API key not configured');
-  }
-  if (config.provider === 'anthropic' && !process.env.ANTHROPIC_API_KEY) {
-    throw new Error('Anthropic API key not configured');
-  }
-  if (config.provider === 'deepseek' && !process.env.DEEPSEEK_API_KEY) {
-    throw new Error('DeepSeek API key not configured');
+  // "Ignore cache" skips the lookup but still refreshes the stored response
+  const cached = ignoreCache || isDemo ? null : await readCache(key);
+  if (cached) {
+    const response = { text: cached.text, usage: cached.usage || { inputTokens: 0, outputTokens: 0 } };
+    await record(response);
+    return { ...response, attempts: 0, source: 'cache' };
   }
 
-  try {
-    switch (config.provider) {
-      case 'openai':
-        const openaiResponse = await openai.chat.completions.create({
-          model: config.model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 1000,
-        });
-        return openaiResponse.choices[0].message.content;
-
-      case 'anthropic':
-        const anthropicResponse = await anthropic.messages.create({
-          model: config.model,
-          max_tokens: 1000,
-          messages: [{ role: 'user', content: prompt }],
-        });
-        return anthropicResponse.content[0].text;
-
-      case 'deepseek':
-        const deepseekResponse = await axios.post('https://api.deepseek.com/v1/chat/completions', {
-          model: config.model,
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 1000,
-        }, {
-          headers: {
-            'Authorization': `Bearer ${process.env.DEEPSEEK_API_KEY}`,
-            'Content-Type': 'application/json',
-          },
-        });
-        return deepseekResponse.data.choices[0].message.content;
-
-      default:
-        throw new Error(`Unknown provider: ${config.provider}`);
-    }
-  } catch (error) {
-    if (retries > 0) {
-      console.log(`Retrying ${modelKey}, attempts left: ${retries - 1}`);
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      return callAIModel(modelKey, prompt, retries - 1);
-    }
+  const { value, attempts } = await withRetry(
+    () => scheduleCall(() => withTimeout(request)),
+    { label: modelKey }
+  ).catch((error) => {
+    // So the failed row records which kind of call it was
+    error.source = isDemo ? 'demo' : 'api';
     throw error;
+  });
+
+  if (isDemo) {
+    return { ...value, attempts, source: 'demo' };
   }
+  await writeCache(key, value);
+  await record(value);
+  return { ...value, attempts, source: 'api' };
 }
 
-// Parse CSV from buffer
-import { Readable } from 'stream';
+// Socket.IO rooms - each job broadcasts only to the clients watching it
+const jobRoom = (jobId) => `job:${jobId}`;
 
-function parseCSV(buffer) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-
-    const stream = Readable.from(buffer.toString());
-    stream
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', reject);
-  });
+function jobProgress(job, payload = {}) {
+  return {
+    jobId: job.id,
+    jobStatus: job.status,
+    stopReason: job.stopReason,
+    completed: job.completedTasks,
+    total: job.totalTasks,
+    percentage: job.totalTasks > 0 ? Math.round((job.completedTasks / job.totalTasks) * 100) : 0,
+    ...payload
+  };
 }
 
-// Generate Excel buffer
-function generateExcel(data) {
-  const workbook = XLSX.utils.book_new();
-  const worksheet = XLSX.utils.json_to_sheet(data);
-  XLSX.utils.book_append_sheet(workbook, worksheet, 'Recommendations');
-  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+function emitJobEvent(job, event, payload) {
+  io.to(jobRoom(job.id)).emit(event, jobProgress(job, payload));
 }
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
+  // Clients (including ones reopening an earlier job) subscribe by job ID
+  socket.on('join-job', (jobId) => {
+    const job = getJob(jobId);
+    if (!job) {
+      socket.emit('job-error', { jobId, error: 'Job not found' });
+      return;
+    }
+
+    socket.join(jobRoom(job.id));
+
+    // Send the current state so late joiners don't wait for the next update
+    let event = 'progress';
+    if (job.status === 'completed' || job.status === 'cancelled') event = 'job-complete';
+    if (job.status === 'failed') event = 'job-error';
+
+    socket.emit(event, jobProgress(job, {
+      currentProduct: job.currentProduct,
+      currentModel: job.currentModel,
+      usage: job.usage,
+      status: job.status === 'queued' ? 'Waiting to start...' : `Job ${job.status}`,
+      error: job.error
+    }));
+  });
+
+  socket.on('leave-job', (jobId) => {
+    socket.leave(jobRoom(jobId));
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
@@ -209,161 +253,1038 @@ app.get('/api/test', (_req, res) => {
   res.json({ message: 'API is working', timestamp: new Date().toISOString() });
 });
 
-// API Routes
-app.post('/api/upload', upload.single('csvFile'), async (req, res) => {
-  console.log('Upload request received');
-  console.log('File:', req.file ? 'Present' : 'Missing');
-  console.log('Body:', req.body);
+// Column names the output sheets already use. A pass-through column with one
+// of these names gets an " (input)" suffix so it doesn't overwrite a result.
+const RESULT_COLUMNS = [
+  'Original Product', 'Product', 'Model', 'Iteration', 'Recommendation', 'Brand', 'Parse Status', 'Re-asked', 'Source',
+  'Attempts', 'Temperature', 'Top P', 'Max Tokens', 'Seed', 'Reasoning Effort', 'System Prompt',
+  'Input Tokens', 'Output Tokens', 'Cost (USD)', 'Error Category', 'Error', 'Timestamp'
+];
 
-  try {
-    if (!req.file) {
-      console.log('No file uploaded');
-      return res.status(400).json({ error: 'No file uploaded' });
+function passThroughName(column) {
+  return RESULT_COLUMNS.includes(column) || /^(?:Brand|Raw Brand|Rationale|Confidence) \d+$/.test(column) ? `${column} (input)` : column;
+}
+
+// The generation parameters a row was produced with, blank where the model doesn't take one
+function paramColumns(params) {
+  return {
+    'Temperature': params.temperature ?? '',
+    'Top P': params.topP ?? '',
+    'Max Tokens': params.maxTokens ?? '',
+    'Seed': params.seed ?? '',
+    'Reasoning Effort': params.reasoningEffort ?? '',
+    'System Prompt': params.systemPrompt ?? ''
+  };
+}
+
+// Provider error messages can quote the key a request was made with
+function redactKeys(message, apiKeys) {
+  return Object.values(apiKeys || {}).reduce((text, key) => text.split(key).join('[redacted]'), message);
+}
+
+// One task per product x model x iteration, in output order. A task's index
+// is where its result is stored on the job, so it stays the same between runs.
+function jobTasks(job) {
+  const { promptColumns, passThroughColumns } = job.columnMapping;
+  const tasks = [];
+  for (const row of job.rows) {
+    const productInfo = formatProductInfo(row, promptColumns);
+    const prompt = renderJobPrompt(job.prompt, row, promptColumns);
+    const passThrough = Object.fromEntries(
+      passThroughColumns.map(column => [passThroughName(column), row[column] ?? ''])
+    );
+
+    for (const modelKey of job.models) {
+      for (let i = 0; i < job.iterations; i++) {
+        tasks.push({ index: tasks.length, productInfo, passThrough, prompt, modelKey, iteration: i + 1 });
+      }
     }
+  }
+  return tasks;
+}
 
-    const { selectedModels, iterations } = req.body;
+// Calls finish in any order, so while a job runs, a brand that isn't in the
+// dictionary is spelled the way the first call to finish wrote it. Once the
+// calls are done, each one takes the spelling of the lowest task index that
+// names it, so the same answers always give the same names. Rows whose names
+// change are checkpointed again.
+function respellBrands(job) {
+  const { brandCount } = job.prompt;
+  const brandNumbers = Array.from({ length: brandCount }, (_value, i) => i + 1);
+  const normalize = brandNormalizer(job.brandAliases || {}, jobResults(job).flatMap(row => (
+    brandNumbers.map(n => row[`Raw Brand ${n}`]).filter(Boolean)
+  )));
 
-    if (!selectedModels) {
-      console.log('No models selected');
-      return res.status(400).json({ error: 'No models selected' });
+  job.results.forEach((row, index) => {
+    if (!row) return;
+    const respelled = {};
+    for (const n of brandNumbers) {
+      const brand = row[`Brand ${n}`];
+      if (brand && normalize(brand) !== brand) respelled[`Brand ${n}`] = normalize(brand);
     }
+    if (Object.keys(respelled).length === 0) return;
+    job.results[index] = { ...row, ...respelled };
+    appendResult(job, index, job.results[index]);
+  });
+}
 
-    let models;
-    try {
-      models = JSON.parse(selectedModels);
-      console.log('Parsed models:', models);
-    } catch (parseError) {
-      console.log('JSON parse error:', parseError);
-      return res.status(400).json({ error: 'Invalid models format' });
-    }
-
-    if (!Array.isArray(models) || models.length === 0) {
-      return res.status(400).json({ error: 'At least one model must be selected' });
-    }
-
-    const iterationCount = parseInt(iterations) || 1;
-
-    // Parse CSV from memory buffer
-    const csvData = await parseCSV(req.file.buffer);
-    
-    // Process recommendations
-    const results = [];
-    const totalTasks = csvData.length * models.length * iterationCount;
-    let completedTasks = 0;
-
-    // Emit initial progress
-    io.emit('progress', {
-      completed: 0,
-      total: totalTasks,
-      percentage: 0,
-      currentProduct: '',
-      currentModel: '',
-      status: 'Starting processing...'
+// Returns a function that runs one of the job's tasks and resolves with its
+// output row - a row with the error when the call fails. Calls that aren't
+// made because the job was stopped reject with a JobStoppedError.
+// controls are apiKeys, shouldStop and pauseGate for callAIModel, and
+// afterCall(), run after each call once its cost is added to the job.
+function taskRunner(job, controls = {}) {
+  const { apiKeys, shouldStop, pauseGate: gate, afterCall } = controls;
+  const { brandCount } = job.prompt;
+  const structured = job.prompt.outputFormat === 'json';
+  // The alias dictionary as it was when the job was created. Brands already in
+  // the run keep their spelling, so resumed and re-run tasks match them until
+  // respellBrands settles each one's spelling.
+  const normalize = brandNormalizer(job.brandAliases || {}, jobResults(job).flatMap(row => (
+    Array.from({ length: brandCount }, (_value, i) => row[`Brand ${i + 1}`]).filter(Boolean)
+  )));
+
+  // One call, with its usage and cost added to the job's totals
+  const ask = async (modelKey, prompt, iteration) => {
+    const response = await callAIModel(modelKey, prompt, {
+      params: job.modelParams[modelKey],
+      structured,
+      brandCount,
+      iteration,
+      ignoreCache: job.ignoreCache,
+      apiKeys,
+      shouldStop,
+      pauseGate: gate
     });
 
-    for (const row of csvData) {
-      const productInfo = Object.values(row).join(', ');
-      const prompt = `You are a helpful assistant who provides concise, high-quality recommendations.\nWhat are the top 5 brands for ${productInfo}? Provide only the brand names separated by commas with no additional text.`;
-
-      for (const modelKey of models) {
-        for (let i = 0; i < iterationCount; i++) {
-          // Emit progress update
-          io.emit('progress', {
-            completed: completedTasks,
-            total: totalTasks,
-            percentage: Math.round((completedTasks / totalTasks) * 100),
-            currentProduct: productInfo,
-            currentModel: modelKey,
-            iteration: i + 1,
-            status: `Processing ${productInfo} with ${modelKey} (iteration ${i + 1}/${iterationCount})`
-          });
-
-          try {
-            const recommendation = await callAIModel(modelKey, prompt);
-            results.push({
-              'Original Product': productInfo,
-              'Model': modelKey,
-              'Iteration': i + 1,
-              'Recommendation': recommendation,
-              'Timestamp': new Date().toISOString()
-            });
-            completedTasks++;
-
-            console.log(`Progress: ${completedTasks}/${totalTasks}`);
-          } catch (error) {
-            console.error(`Error with ${modelKey} iteration ${i + 1}:`, error.message);
-            results.push({
-              'Original Product': productInfo,
-              'Model': modelKey,
-              'Iteration': i + 1,
-              'Recommendation': `Error: ${error.message}`,
-              'Timestamp': new Date().toISOString()
-            });
-            completedTasks++;
-          }
+    // Cached and demo responses cost nothing
+    const cost = response.source === 'api' ? callCost(modelKey, response.usage) : 0;
+    addUsage(job.usage, response.usage, cost);
+    if (afterCall) afterCall();
+    return { ...response, cost };
+  };
+
+  // A structured response that doesn't match the schema is asked for once more,
+  // saying what was wrong. If the second answer can't be had - the job was
+  // stopped or the call failed - the first one is kept and marked invalid.
+  const askStructured = async (modelKey, prompt, iteration) => {
+    const first = await ask(modelKey, prompt, iteration);
+    const firstResult = parseStructured(first.text, brandCount);
+    if (firstResult.errors.length === 0) {
+      return { response: first, ...firstResult, reasked: false };
+    }
+
+    let second;
+    try {
+      second = await ask(modelKey, correctionPrompt(prompt, firstResult.errors), iteration);
+    } catch (error) {
+      const reason = error instanceof JobStoppedError ? 'the job was stopped' : redactKeys(error.message, apiKeys);
+      return { response: first, ...firstResult, reasked: false, note: `not asked again because ${reason}` };
+    }
+
+    const secondResult = parseStructured(second.text, brandCount);
+    return {
+      response: {
+        text: second.text,
+        source: second.source,
+        attempts: first.attempts + second.attempts,
+        usage: {
+          inputTokens: first.usage.inputTokens + second.usage.inputTokens,
+          outputTokens: first.usage.outputTokens + second.usage.outputTokens
+        },
+        cost: first.cost === null || second.cost === null ? null : roundCost(first.cost + second.cost)
+      },
+      ...secondResult,
+      reasked: true
+    };
+  };
+
+  return async ({ productInfo, passThrough, prompt, modelKey, iteration }) => {
+    try {
+      let response;
+      let parsed;
+      let items = [];
+      let reasked = false;
+      let validationError = '';
+
+      if (structured) {
+        let errors;
+        let note;
+        ({ items, errors, reasked, note, response } = await askStructured(modelKey, prompt, iteration));
+        let status = PARSE_STATUS.OK;
+        if (errors.length > 0) status = PARSE_STATUS.INVALID;
+        else if (items.length < brandCount) status = PARSE_STATUS.PARTIAL;
+        parsed = { brands: items.map(item => item.brand), status };
+        if (errors.length > 0) {
+          validationError = `Invalid structured output: ${errors.join('; ')}${note ? ` (${note})` : ''}`;
         }
+      } else {
+        response = await ask(modelKey, prompt, iteration);
+        parsed = parseBrands(response.text, brandCount);
+      }
+
+      // Canonical names in the brand columns; two names for one brand keep its
+      // first position, which can leave fewer brands than were asked for
+      const brands = normalizeBrands(parsed.brands, normalize);
+      const status = parsed.status === PARSE_STATUS.OK && brands.length < brandCount ? PARSE_STATUS.PARTIAL : parsed.status;
+      const structuredColumns = structured
+        ? { ...rationaleColumns(brands.map(({ index }) => items[index]), brandCount), 'Re-asked': reasked ? 'yes' : 'no' }
+        : {};
+
+      const { text, usage, attempts, source, cost } = response;
+      return {
+        ...passThrough,
+        'Original Product': productInfo,
+        'Model': modelKey,
+        'Iteration': iteration,
+        'Recommendation': text,
+        ...brandColumns(brands.map(({ brand }) => brand), status, brandCount),
+        ...rawBrandColumns(brands.map(({ raw }) => raw), brandCount),
+        ...structuredColumns,
+        'Source': source,
+        'Attempts': attempts,
+        ...paramColumns(job.modelParams[modelKey]),
+        'Input Tokens': usage.inputTokens,
+        'Output Tokens': usage.outputTokens,
+        'Cost (USD)': cost ?? '',
+        'Error Category': '',
+        'Error': validationError,
+        'Timestamp': new Date().toISOString()
+      };
+    } catch (error) {
+      if (error instanceof JobStoppedError) throw error;
+
+      const category = error.category || ERROR_CATEGORY.UNKNOWN;
+      const message = redactKeys(error.message, apiKeys);
+      console.error(`Error with ${modelKey} iteration ${iteration} (${category}):`, message);
+      return {
+        ...passThrough,
+        'Original Product': productInfo,
+        'Model': modelKey,
+        'Iteration': iteration,
+        'Recommendation': '',
+        ...brandColumns([], PARSE_STATUS.ERROR, brandCount),
+        ...rawBrandColumns([], brandCount),
+        ...(structured ? { ...rationaleColumns([], brandCount), 'Re-asked': '' } : {}),
+        'Source': error.source || 'api',
+        'Attempts': error.attempts || 1,
+        ...paramColumns(job.modelParams[modelKey]),
+        'Input Tokens': '',
+        'Output Tokens': '',
+        'Cost (USD)': '',
+        'Error Category': category,
+        'Error': message,
+        'Timestamp': new Date().toISOString()
+      };
+    }
+  };
+}
+
+// Run every product x model x iteration for a job, recording results on the job.
+// Calls run concurrently through the per-provider scheduler; each result is
+// stored at its task index so the output order doesn't depend on timing, and
+// checkpointed so a job recovered after a restart only runs the missing tasks.
+async function processJob(job) {
+  // A job recovered while paused stays paused until it is resumed
+  if (job.status !== 'paused') {
+    job.status = 'running';
+  }
+  job.startedAt = job.startedAt || new Date().toISOString();
+  saveJobState(job);
+
+  const { iterations: iterationCount, totalTasks } = job;
+
+  // Emit initial progress
+  emitJobEvent(job, 'progress', {
+    currentProduct: '',
+    currentModel: '',
+    status: 'Starting processing...'
+  });
+
+  const tasks = jobTasks(job);
+  const remainingTasks = tasks.filter(task => !job.results[task.index]);
+  if (remainingTasks.length < tasks.length) {
+    console.log(`Job ${job.id} resuming at task ${remainingTasks[0]?.index ?? tasks.length} - ${tasks.length - remainingTasks.length} of ${tasks.length} already done`);
+  }
+
+  const runJobTask = taskRunner(job, {
+    apiKeys: job.apiKeys,
+    shouldStop: () => job.stopReason,
+    pauseGate: () => pauseGate(job),
+    afterCall: () => {
+      if (job.budgetLimit && job.usage.cost >= job.budgetLimit && !job.stopReason) {
+        job.stopReason = 'budget';
+        console.log(`Job ${job.id} reached its budget of $${job.budgetLimit} - not starting any more calls`);
+      }
+    }
+  });
+
+  const runTask = async (task) => {
+    const { index, productInfo, modelKey, iteration } = task;
+    try {
+      job.results[index] = await runJobTask(task);
+    } catch (error) {
+      // Calls skipped after the job was stopped leave no row behind
+      if (error instanceof JobStoppedError) {
+        job.skippedTasks++;
+        return;
       }
+      throw error;
+    }
+    appendResult(job, index, job.results[index]);
+    if (isFailedResult(job.results[index])) {
+      job.failedTasks++;
+    }
+
+    job.completedTasks++;
+    job.currentProduct = productInfo;
+    job.currentModel = modelKey;
+    console.log(`Job ${job.id} progress: ${job.completedTasks}/${totalTasks}`);
+
+    // Emit progress update
+    emitJobEvent(job, 'progress', {
+      currentProduct: productInfo,
+      currentModel: modelKey,
+      iteration,
+      usage: job.usage,
+      status: `Finished ${productInfo} with ${modelKey} (iteration ${iteration}/${iterationCount})`
+    });
+  };
+
+  await Promise.all(remainingTasks.map(runTask));
+  job.apiKeys = null;
+  respellBrands(job);
+
+  job.status = job.stopReason === 'cancelled' ? 'cancelled' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  job.currentProduct = '';
+  job.currentModel = '';
+  saveJobState(job);
+
+  let status = 'Processing complete! Results are ready to download.';
+  if (job.stopReason === 'budget') {
+    status = `Budget of $${job.budgetLimit} reached after ${job.completedTasks} of ${totalTasks} calls. Partial results are ready to download.`;
+  } else if (job.stopReason === 'cancelled') {
+    status = `Cancelled after ${job.completedTasks} of ${totalTasks} calls. Partial results are ready to download.`;
+  }
+
+  // Emit completion
+  emitJobEvent(job, 'job-complete', {
+    usage: job.usage,
+    status
+  });
+}
+
+// Process a job in the background - clients poll /api/jobs/:id for status
+function startJob(job) {
+  processJob(job).catch((error) => {
+    console.error(`Job ${job.id} failed:`, error);
+    job.apiKeys = null;
+    job.status = 'failed';
+    job.error = error.message || 'An unexpected error occurred';
+    job.finishedAt = new Date().toISOString();
+    saveJobState(job);
+
+    emitJobEvent(job, 'job-error', {
+      status: `Processing failed: ${job.error}`,
+      error: job.error
+    });
+  });
+}
+
+// Restart the jobs interrupted by the last shutdown from their first missing
+// task. Finished runs stay on disk and are loaded when they're next needed.
+async function recoverJobs() {
+  for (const state of await listCheckpoints()) {
+    if (isFinished(state)) continue;
+
+    const checkpoint = await loadCheckpoint(state.id);
+    if (!checkpoint) continue;
+    const job = restoreJob(checkpoint.state, checkpoint.results);
+
+    // Session keys are never stored, so a job that used them can't carry on
+    if (job.sessionKeyProviders?.length > 0) {
+      job.status = 'cancelled';
+      job.stopReason = 'cancelled';
+      job.error = 'Interrupted by a server restart. Your own API keys are never stored, so the run could not continue - the results collected so far can still be downloaded.';
+      job.finishedAt = new Date().toISOString();
+      saveJobState(job);
+      console.log(`Stopped recovered job ${job.id} - it was using session API keys`);
+      continue;
+    }
+
+    console.log(`Recovered job ${job.id} with ${job.completedTasks}/${job.totalTasks} calls done`);
+    if (job.status === 'paused') {
+      pauseJob(job);
+    }
+    startJob(job);
+  }
+}
+
+// Validation failure in a job request, returned to the client as a 400
+class RequestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Users' own provider keys as { providerId: key }, dropping blanks. The keys
+// are never echoed back, logged or written to disk - only which providers have one.
+function parseSessionKeys(apiKeys) {
+  if (!apiKeys || typeof apiKeys !== 'object' || Array.isArray(apiKeys)) {
+    throw new RequestError('Invalid API keys format');
+  }
+
+  const keys = {};
+  for (const [providerId, key] of Object.entries(apiKeys)) {
+    const provider = getProvider(providerId);
+    if (!provider || !acceptsSessionKey(provider)) {
+      throw new RequestError(`API keys can't be set for provider "${providerId}"`);
+    }
+    if (typeof key !== 'string') {
+      throw new RequestError(`The ${provider.name} API key must be a string`);
+    }
+    if (key.trim()) {
+      keys[providerId] = key.trim();
+    }
+  }
+  return keys;
+}
+
+// Parse and validate the uploaded file and job settings shared by /api/upload,
+// /api/estimate and /api/preview
+async function parseJobRequest(req) {
+  if (!req.file) {
+    console.log('No file uploaded');
+    throw new RequestError('No file uploaded');
+  }
+
+  const {
+    selectedModels,
+    iterations,
+    promptTemplate,
+    systemPrompt,
+    brandCount,
+    outputFormat = 'text',
+    ignoreCache,
+    budgetLimit,
+    sheetName,
+    columnMapping: columnMappingField,
+    modelParams: modelParamsField,
+    watchlist: watchlistField,
+    apiKeys: apiKeysField
+  } = req.body;
+
+  if (!selectedModels) {
+    console.log('No models selected');
+    throw new RequestError('No models selected');
+  }
+
+  let models;
+  try {
+    models = JSON.parse(selectedModels);
+    console.log('Parsed models:', models);
+  } catch (parseError) {
+    console.log('JSON parse error:', parseError);
+    throw new RequestError('Invalid models format');
+  }
+
+  if (!Array.isArray(models) || models.length === 0) {
+    throw new RequestError('At least one model must be selected');
+  }
+
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new RequestError(`Unknown output format "${outputFormat}" - use one of ${OUTPUT_FORMATS.join(', ')}`);
+  }
+
+  const unknownModels = models.filter(modelKey => !getModel(modelKey));
+  if (unknownModels.length > 0) {
+    throw new RequestError(`Unknown models: ${unknownModels.join(', ')}`);
+  }
+
+  // { modelKey: { temperature, topP, maxTokens, seed, reasoningEffort, systemPrompt } },
+  // each optional. Settings for models that aren't selected are ignored.
+  let modelSettings = {};
+  if (modelParamsField) {
+    try {
+      modelSettings = JSON.parse(modelParamsField);
+    } catch {
+      throw new RequestError('Invalid model parameters format');
+    }
+  }
+  if (!modelSettings || typeof modelSettings !== 'object' || Array.isArray(modelSettings)) {
+    throw new RequestError('Invalid model parameters format');
+  }
+  const modelParamsErrors = models.flatMap(modelKey => (
+    modelSettings[modelKey] === undefined ? [] : validateModelParams(modelSettings[modelKey], getModel(modelKey).name, modelParamLimits(getModel(modelKey)))
+  ));
+  if (modelParamsErrors.length > 0) {
+    throw new RequestError(modelParamsErrors.join('; '), { modelParamsErrors });
+  }
+
+  // [{ brand, aliases, own }] - brands to report share of voice for
+  let watchlist = [];
+  if (watchlistField) {
+    try {
+      watchlist = JSON.parse(watchlistField);
+    } catch {
+      throw new RequestError('Invalid watchlist format');
+    }
+  }
+  const watchlistErrors = validateWatchlist(watchlist);
+  if (watchlistErrors.length > 0) {
+    throw new RequestError(watchlistErrors.join('; '), { watchlistErrors });
+  }
+
+  let apiKeys = {};
+  if (apiKeysField) {
+    try {
+      apiKeys = JSON.parse(apiKeysField);
+    } catch {
+      throw new RequestError('Invalid API keys format');
+    }
+  }
+  apiKeys = parseSessionKeys(apiKeys);
+
+  const budget = budgetLimit ? parseFloat(budgetLimit) : null;
+  if (budget !== null && !(budget > 0)) {
+    throw new RequestError('Budget limit must be a positive amount in USD');
+  }
+  // Calls to a model without pricing add nothing to the job's cost, so the
+  // budget could be passed without the job ever stopping
+  const unpricedModels = models.filter(modelKey => !getModel(modelKey).pricing);
+  if (budget !== null && unpricedModels.length > 0) {
+    const names = unpricedModels.map(modelKey => getModel(modelKey).name).join(', ');
+    throw new RequestError(`A budget limit can't be kept for models without pricing (${names}) - add their pricing to config/models.json or remove the budget`, { unpricedModels });
+  }
+
+  // CSV, TSV, Excel or JSON, parsed from the memory buffer
+  const file = await parseProductFile(req.file.buffer, req.file.originalname, { sheetName });
+  const { rows, columns } = file;
+
+  if (rows.length === 0) {
+    throw new RequestError('The uploaded file contains no product rows');
+  }
+
+  // Validate the template against the uploaded columns before anything is queued
+  const template = promptTemplate || (outputFormat === 'json' ? DEFAULT_JSON_PROMPT_TEMPLATE : DEFAULT_PROMPT_TEMPLATE);
+  const templateErrors = validateTemplate(template, columns);
+  if (templateErrors.length > 0) {
+    throw new RequestError(templateErrors.join('; '), { templateErrors });
+  }
+
+  let columnMapping = defaultColumnMapping(columns);
+  if (columnMappingField) {
+    try {
+      columnMapping = JSON.parse(columnMappingField);
+    } catch {
+      throw new RequestError('Invalid column mapping format');
+    }
+  }
+  const columnMappingErrors = validateColumnMapping(columnMapping, columns);
+  if (columnMappingErrors.length > 0) {
+    throw new RequestError(columnMappingErrors.join('; '), { columnMappingErrors });
+  }
+
+  const jobSystemPrompt = systemPrompt === undefined ? DEFAULT_SYSTEM_PROMPT : systemPrompt.trim();
+
+  return {
+    fileName: req.file.originalname,
+    // Identifies reruns of the same file in the run history
+    fileHash: crypto.createHash('sha256').update(req.file.buffer).digest('hex'),
+    // How the file was read, for the preview
+    file: {
+      format: file.format,
+      encoding: file.encoding,
+      delimiter: file.delimiter,
+      sheetName: file.sheetName,
+      sheetNames: file.sheetNames,
+      columns,
+      rowNumbers: file.rowNumbers,
+      blankRows: file.blankRows,
+      issues: file.issues
+    },
+    rows,
+    models,
+    iterations: parseInt(iterations) || 1,
+    prompt: {
+      template,
+      systemPrompt: jobSystemPrompt,
+      brandCount: normalizeBrandCount(brandCount),
+      outputFormat
+    },
+    modelParams: Object.fromEntries(models.map(modelKey => [
+      modelKey,
+      resolveModelParams(getModel(modelKey), modelSettings[modelKey], jobSystemPrompt)
+    ])),
+    columnMapping: {
+      promptColumns: columnMapping.promptColumns,
+      passThroughColumns: columnMapping.passThroughColumns
+    },
+    watchlist: normalizeWatchlist(watchlist),
+    // Snapshot of the alias dictionary, so the run's canonical names don't
+    // change if it is edited while the job runs or before a re-run
+    brandAliases: await loadBrandAliases(),
+    ignoreCache: ignoreCache === 'true',
+    budgetLimit: budget,
+    apiKeys
+  };
+}
+
+// Ensure we always return JSON
+function sendRouteError(res, error) {
+  if (!error.status) {
+    console.error('Processing error:', error);
+  }
+
+  if (!res.headersSent) {
+    res.status(error.status || 500).json({
+      error: error.message || 'An unexpected error occurred',
+      success: false,
+      ...error.details
+    });
+  }
+}
+
+// API Routes
+app.post('/api/upload', upload.single('csvFile'), async (req, res) => {
+  console.log('Upload request received');
+  console.log('File:', req.file ? 'Present' : 'Missing');
+  // Never log the user's own API keys
+  const { apiKeys, ...fields } = req.body;
+  console.log('Body:', apiKeys ? { ...fields, apiKeys: '[redacted]' } : fields);
+
+  try {
+    const job = createJob(await parseJobRequest(req));
+    const { socketId } = req.body;
+
+    // Subscribe the submitting client before any progress is emitted
+    const submitter = socketId && io.sockets.sockets.get(socketId);
+    if (submitter) {
+      submitter.join(jobRoom(job.id));
     }
 
-    // Emit completion
-    io.emit('progress', {
-      completed: totalTasks,
-      total: totalTasks,
-      percentage: 100,
-      status: 'Processing complete! Generating Excel file...'
+    startJob(job);
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: serializeJob(job)
     });
 
-    // Generate Excel buffer
-    const excelBuffer = generateExcel(results);
-    const outputFileName = `recommendations_${Date.now()}.xlsx`;
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
 
-    // Return JSON response with base64 data
+// Pre-run token and cost estimate for the same form fields as /api/upload
+app.post('/api/estimate', upload.single('csvFile'), async (req, res) => {
+  try {
+    const jobRequest = await parseJobRequest(req);
     res.json({
       success: true,
-      downloadUrl: `data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64,${excelBuffer.toString('base64')}`,
-      filename: outputFileName,
-      totalRecommendations: results.length
+      totalProducts: jobRequest.rows.length,
+      ...estimateJobCost(jobRequest)
     });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
 
+// What a run of the same form fields as /api/upload would do, without
+// starting it: parsed rows, warnings about the file, call count, duration and
+// cost estimates and a sample prompt. previewRows sets how many rows come back.
+app.post('/api/preview', upload.single('csvFile'), async (req, res) => {
+  try {
+    const jobRequest = await parseJobRequest(req);
+    res.json({
+      success: true,
+      ...previewJob(jobRequest, {
+        rowCount: previewRowCount(req.body.previewRows),
+        sessionKeyProviders: previewKeyProviders(req.body.sessionKeyProviders)
+      }),
+      estimate: estimateJobCost(jobRequest)
+    });
   } catch (error) {
-    console.error('Processing error:', error);
+    sendRouteError(res, error);
+  }
+});
 
-    // Ensure we always return JSON
-    if (!res.headersSent) {
-      res.status(500).json({
-        error: error.message || 'An unexpected error occurred',
-        success: false
-      });
+// List recent jobs, newest first
+app.get('/api/jobs', (_req, res) => {
+  res.json({ jobs: listJobs().map(serializeJob) });
+});
+
+// Job status and progress counts
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job));
+});
+
+// Look up the job for a control endpoint, answering 404/409 when it can't be changed
+function controllableJob(req, res) {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+  // A finished job keeps its stopReason, so it is reported by status first
+  if (isFinished(job)) {
+    res.status(409).json({ error: `Job is already ${job.status}`, job: serializeJob(job) });
+    return null;
+  }
+  if (job.stopReason) {
+    res.status(409).json({ error: 'Job is already stopping', job: serializeJob(job) });
+    return null;
+  }
+  return job;
+}
+
+// Stop starting new calls until the job is resumed
+app.post('/api/jobs/:id/pause', (req, res) => {
+  const job = controllableJob(req, res);
+  if (!job) return;
+
+  if (job.status !== 'paused') {
+    pauseJob(job);
+    console.log(`Job ${job.id} paused at ${job.completedTasks}/${job.totalTasks}`);
+    emitJobEvent(job, 'progress', {
+      usage: job.usage,
+      status: 'Paused - calls already in progress will finish, no new ones will start.'
+    });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+app.post('/api/jobs/:id/resume', (req, res) => {
+  const job = controllableJob(req, res);
+  if (!job) return;
+
+  if (job.status === 'paused') {
+    resumeJob(job);
+    console.log(`Job ${job.id} resumed`);
+    emitJobEvent(job, 'progress', {
+      usage: job.usage,
+      status: 'Resumed processing...'
+    });
+  }
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Stop the job for good. It finishes as 'cancelled' once in-flight calls
+// return, and the results collected so far can still be downloaded.
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = controllableJob(req, res);
+  if (!job) return;
+
+  cancelJob(job);
+  console.log(`Job ${job.id} cancelled at ${job.completedTasks}/${job.totalTasks}`);
+  emitJobEvent(job, 'progress', {
+    usage: job.usage,
+    status: 'Cancelling - waiting for calls already in progress to finish...'
+  });
+  res.json({ success: true, job: serializeJob(job) });
+});
+
+// Download a finished job's results. format is xlsx (default), csv, json,
+// jsonl or parquet; sheetPerModel=true puts each model on its own xlsx sheet.
+// /result is the original Excel-only endpoint, kept for existing clients.
+app.get(['/api/jobs/:id/download', '/api/jobs/:id/result'], async (req, res) => {
+  const job = await loadJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const format = (req.query.format || 'xlsx').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unknown format "${format}" - use one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  if (!isFinished(job)) {
+    return res.status(409).json({ error: `Job is still ${job.status}`, job: serializeJob(job) });
+  }
+  if (job.status === 'failed') {
+    return res.status(500).json({ error: job.error, success: false, job: serializeJob(job) });
+  }
+
+  res.attachment(exportFileName(job, format));
+  res.type(EXPORT_FORMATS[format]);
+
+  try {
+    await writeExport(res, format, jobResults(job), {
+      brandCount: job.prompt.brandCount,
+      passThroughColumns: job.columnMapping.passThroughColumns.map(passThroughName),
+      watchlist: job.watchlist || [],
+      sheetPerModel: req.query.sheetPerModel === 'true'
+    });
+  } catch (error) {
+    console.error(`Failed to export job ${job.id} as ${format}:`, error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({ error: `Failed to export results: ${error.message}`, success: false });
+    }
+  }
+});
+
+// A job's result rows with their task index, for the results explorer.
+// Available while the job runs, with the rows finished so far.
+app.get('/api/jobs/:id/results', async (req, res) => {
+  try {
+    const job = await loadJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      job: serializeJob(job),
+      brandCount: job.prompt.brandCount,
+      passThroughColumns: job.columnMapping.passThroughColumns.map(passThroughName),
+      results: job.results
+        .map((result, index) => (result ? { index, result } : null))
+        .filter(Boolean)
+    });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
+
+// Results being re-run, by job ID and task index, so a double click doesn't call twice
+const retrying = new Set();
+
+// Re-run one failed result of a finished job with the job's own settings. The
+// new row replaces the failed one in the results and the downloads. The keys
+// the job ran with are gone by now, so the user's own keys come with the request.
+app.post('/api/jobs/:id/results/:index/retry', async (req, res) => {
+  const retryKey = `${req.params.id}:${req.params.index}`;
+  try {
+    const job = await loadJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!isFinished(job) || job.status === 'failed') {
+      return res.status(409).json({ error: `Job is ${job.status} - only results of a finished run can be re-run`, job: serializeJob(job) });
+    }
+
+    const index = Number(req.params.index);
+    const previous = Number.isInteger(index) ? job.results[index] : null;
+    if (!previous) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+    if (!isFailedResult(previous)) {
+      return res.status(400).json({ error: 'Only failed results can be re-run' });
+    }
+    if (retrying.has(retryKey)) {
+      return res.status(409).json({ error: 'This result is already being re-run' });
+    }
+
+    const apiKeys = req.body?.apiKeys ? parseSessionKeys(req.body.apiKeys) : {};
+    // Without a key the call would fall back to demo output, which must not
+    // replace a real provider's row among the run's real results
+    const model = getModel(previous['Model']);
+    const provider = model && getProvider(model.provider);
+    const needsKey = provider && provider.type !== 'demo' && previous['Source'] !== 'demo' && FIXTURE_MODE !== 'replay';
+    if (needsKey && !(apiKeys[model.provider] || hasApiKey(provider))) {
+      return res.status(400).json({ error: `No API key for ${provider.name} - enter your own key to re-run this ${model.name} result` });
+    }
+    retrying.add(retryKey);
+    let result;
+    try {
+      result = await taskRunner(job, { apiKeys })(jobTasks(job)[index]);
+    } finally {
+      retrying.delete(retryKey);
+    }
+
+    job.results[index] = result;
+    if (isFailedResult(previous)) job.failedTasks--;
+    if (isFailedResult(result)) job.failedTasks++;
+    appendResult(job, index, result);
+    respellBrands(job);
+    saveJobState(job);
+    console.log(`Job ${job.id} result ${index} re-run${isFailedResult(result) ? ' and failed again' : ''}`);
+
+    res.json({ success: true, index, result: job.results[index], job: serializeJob(job) });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
+
+// Past runs with their settings, newest first
+app.get('/api/history', async (_req, res) => {
+  try {
+    res.json({ runs: await listHistory() });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
+
+// What one run needs for diffRuns, with pass-through columns named as in its output
+function runSide(job) {
+  return {
+    models: job.models,
+    results: jobResults(job),
+    brandCount: job.prompt.brandCount,
+    passThroughColumns: job.columnMapping.passThroughColumns.map(passThroughName)
+  };
+}
+
+// Brands gained, lost and moved per product and model between two finished runs
+app.get('/api/history/compare', async (req, res) => {
+  const { base: baseId, compare: compareId } = req.query;
+  if (!baseId || !compareId) {
+    return res.status(400).json({ error: 'Pick two runs to compare (base and compare)' });
+  }
+
+  try {
+    const [base, compare] = await Promise.all([loadJob(baseId), loadJob(compareId)]);
+    for (const [id, job] of [[baseId, base], [compareId, compare]]) {
+      if (!job) {
+        return res.status(404).json({ error: `Run ${id} not found` });
+      }
+      if (!isFinished(job)) {
+        return res.status(409).json({ error: `Run ${id} is still ${job.status}`, job: serializeJob(job) });
+      }
     }
+
+    res.json({
+      base: serializeJob(base),
+      compare: serializeJob(compare),
+      sameFile: !!base.fileHash && base.fileHash === compare.fileHash,
+      ...diffRuns(runSide(base), runSide(compare))
+    });
+  } catch (error) {
+    sendRouteError(res, error);
   }
 });
 
+// Which providers have keys, and which models can be used. Without any keys
+// the app runs in demo mode and every model is available with fake responses.
+function modelAvailability(sessionKeys = {}) {
+  const apiKeys = Object.fromEntries(listProviders().map(provider => [provider.id, hasApiKey(provider) || !!sessionKeys[provider.id]]));
+  // The demo provider always works, so it doesn't count as a configured key
+  const hasAnyApiKey = listProviders().some(provider => provider.type !== 'demo' && apiKeys[provider.id]);
+  const models = listModels();
+
+  // Replayed models need no key, only their recordings
+  const replaying = FIXTURE_MODE === 'replay';
+  const availableModels = hasAnyApiKey && !replaying
+    ? models.filter(model => apiKeys[model.provider]).map(model => model.id)
+    : models.map(model => model.id);
+
+  return {
+    apiKeys,
+    availableModels,
+    totalModels: models.length,
+    demoMode: !hasAnyApiKey && !replaying,
+    sessionKeyProviders: Object.keys(sessionKeys),
+    cacheEnabled: CACHE_ENABLED,
+    fixtureMode: FIXTURE_MODE
+  };
+}
+
 // Check API key status
 app.get('/api/status', (_req, res) => {
-  const status = {
-    openai: !!process.env.OPENAI_API_KEY,
-    anthropic: !!process.env.ANTHROPIC_API_KEY,
-    deepseek: !!process.env.DEEPSEEK_API_KEY
+  res.json(modelAvailability());
+});
+
+// The same, counting the user's own keys sent as { apiKeys: { providerId: key } }.
+// A POST so the keys stay out of URLs and access logs.
+app.post('/api/status', (req, res) => {
+  try {
+    res.json(modelAvailability(parseSessionKeys(req.body?.apiKeys || {})));
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
+
+function modelCatalog(sessionKeys) {
+  const availability = modelAvailability(sessionKeys);
+
+  return {
+    ...availability,
+    providers: listProviders().map(provider => ({
+      id: provider.id,
+      name: provider.name,
+      apiKeyEnv: provider.apiKeyEnv || null,
+      configured: availability.apiKeys[provider.id]
+    })),
+    models: listModels().map(model => ({
+      id: model.id,
+      name: model.name,
+      provider: model.provider,
+      providerName: getProvider(model.provider).name,
+      available: availability.availableModels.includes(model.id),
+      reasoning: !!model.reasoning,
+      // Generation parameters the model takes, for the parameters editor
+      params: supportedParams(model),
+      limits: modelParamLimits(model)
+    }))
   };
+}
 
-  const hasAnyApiKey = status.openai || status.anthropic || status.deepseek;
+// Model catalog for the UI, grouped by provider on the client
+app.get('/api/models', (_req, res) => {
+  res.json(modelCatalog());
+});
 
-  // In demo mode, all models are "available"
-  const availableModels = hasAnyApiKey
-    ? Object.entries(AI_MODELS).filter(([_key, config]) => {
-        return status[config.provider];
-      }).map(([modelKey]) => modelKey)
-    : Object.keys(AI_MODELS); // All models available in demo mode
+// The catalog with availability counting the user's own keys, as for POST /api/status
+app.post('/api/models', (req, res) => {
+  try {
+    res.json(modelCatalog(parseSessionKeys(req.body?.apiKeys || {})));
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
 
-  res.json({
-    apiKeys: status,
-    availableModels,
-    totalModels: Object.keys(AI_MODELS).length,
-    demoMode: !hasAnyApiKey
-  });
+// The brand alias dictionary: { canonicalName: [aliases] }. New jobs use it
+// to give every brand in the output its canonical name.
+app.get('/api/brand-aliases', async (_req, res) => {
+  try {
+    res.json({ dictionary: await loadBrandAliases() });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
+
+// Replaces the dictionary with { dictionary }, as edited or with suggestions accepted
+app.put('/api/brand-aliases', async (req, res) => {
+  try {
+    const dictionary = req.body?.dictionary;
+    const dictionaryErrors = validateDictionary(dictionary);
+    if (dictionaryErrors.length > 0) {
+      throw new RequestError(dictionaryErrors.join('; '), { dictionaryErrors });
+    }
+    res.json({ dictionary: await saveBrandAliases(dictionary) });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
 });
 
-// Download endpoint removed - files are now returned directly in the upload response
+// Adds { brand, aliases } to the dictionary, as when a suggestion is accepted.
+// Unlike a PUT, it can't undo aliases another user added in the meantime.
+app.post('/api/brand-aliases/aliases', async (req, res) => {
+  try {
+    const { brand, aliases } = req.body || {};
+    if (typeof brand !== 'string' || !brand.trim()) {
+      throw new RequestError('A brand name is required');
+    }
+    if (!Array.isArray(aliases) || aliases.length === 0 || !aliases.every(alias => typeof alias === 'string')) {
+      throw new RequestError('Aliases must be a list of names');
+    }
+    const { dictionary, errors } = await addBrandAliases(brand.trim(), aliases);
+    if (errors) {
+      throw new RequestError(errors.join('; '), { dictionaryErrors: errors });
+    }
+    res.json({ dictionary });
+  } catch (error) {
+    sendRouteError(res, error);
+  }
+});
 
 // Serve React app for all other routes
 app.get('*', (_req, res) => {
@@ -374,7 +1295,11 @@ server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log('WebSocket server enabled');
   console.log('Make sure to set your API keys in .env file:');
-  console.log('- OPENAI_API_KEY');
-  console.log('- ANTHROPIC_API_KEY');
-  console.log('- DEEPSEEK_API_KEY');
+  for (const provider of listProviders()) {
+    if (provider.apiKeyEnv) {
+      console.log(`- ${provider.apiKeyEnv}${hasApiKey(provider) ? ' (configured)' : ''}`);
+    }
+  }
+
+  recoverJobs().catch(error => console.error('Failed to recover jobs:', error));
 });
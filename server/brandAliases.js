@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { addAliases, normalizeDictionary, validateDictionary } from '../shared/brandNames.js';
+import { writeFileAtomic } from './files.js';
+
+// The brand alias dictionary behind /api/brand-aliases: one JSON file mapping
+// each canonical brand name to the other names models use for it. Jobs take
+// a copy when they are created, so editing it doesn't change the names in a
+// run that is already going.
+
+const ALIASES_FILE = process.env.BRAND_ALIASES_FILE || path.join(process.cwd(), 'data', 'brand-aliases.json');
+
+// Writes are chained, so aliases added by one user are in the dictionary the
+// next write starts from
+let writeQueue = Promise.resolve();
+
+function enqueueWrite(write) {
+  const next = writeQueue.then(write);
+  writeQueue = next.catch(() => {});
+  return next;
+}
+
+// The saved dictionary, or an empty one before anything is saved
+export async function loadBrandAliases() {
+  try {
+    return JSON.parse(await fs.readFile(ALIASES_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to read the brand alias dictionary:', error.message);
+    }
+    return {};
+  }
+}
+
+async function writeDictionary(dictionary) {
+  const normalized = normalizeDictionary(dictionary);
+  try {
+    await writeFileAtomic(ALIASES_FILE, JSON.stringify(normalized, null, 2));
+  } catch (error) {
+    console.error('Failed to save the brand alias dictionary:', error.message);
+    // The file system error names the server's paths
+    throw new Error('The brand alias dictionary could not be saved');
+  }
+  return normalized;
+}
+
+// Replaces the dictionary with a validated one and resolves with it as stored
+export function saveBrandAliases(dictionary) {
+  return enqueueWrite(() => writeDictionary(dictionary));
+}
+
+// Adds aliases for a brand to the dictionary as it is when the write runs.
+// Resolves with { dictionary } as stored, or { errors } if the result isn't valid.
+export function addBrandAliases(brand, aliases) {
+  return enqueueWrite(async () => {
+    const dictionary = addAliases(await loadBrandAliases(), brand, aliases);
+    const errors = validateDictionary(dictionary);
+    if (errors.length > 0) return { errors };
+    return { dictionary: await writeDictionary(dictionary) };
+  });
+}
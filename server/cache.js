@@ -0,0 +1,56 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+
+// Opt-in on-disk cache of model responses, so re-running a file (or adding a
+// model to an earlier run) doesn't pay for the same prompts again. Enable it
+// with RESPONSE_CACHE=true. Entries are one JSON file each, named by a hash
+// of everything that affects the response.
+
+export const CACHE_ENABLED = process.env.RESPONSE_CACHE === 'true';
+const CACHE_TTL_HOURS = parseFloat(process.env.RESPONSE_CACHE_TTL_HOURS) || 24 * 7;
+
+const CACHE_DIR = process.env.RESPONSE_CACHE_DIR || path.join(process.cwd(), 'data', 'cache');
+const TTL_MS = CACHE_TTL_HOURS * 60 * 60 * 1000;
+
+// The iteration index is part of the key so repeated iterations stay separate samples
+export function cacheKey({ provider, model, prompt, params, iteration }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ provider, model, prompt, params, iteration }))
+    .digest('hex');
+}
+
+function entryPath(key) {
+  return path.join(CACHE_DIR, key.slice(0, 2), `${key}.json`);
+}
+
+// Returns the cached entry, or null when missing, expired or unreadable
+export async function readCache(key) {
+  if (!CACHE_ENABLED) return null;
+
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(key), 'utf8'));
+    if (Date.now() - Date.parse(entry.createdAt) > TTL_MS) {
+      await fs.rm(entryPath(key), { force: true });
+      return null;
+    }
+    return entry;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read cache entry ${key}:`, error.message);
+    }
+    return null;
+  }
+}
+
+export async function writeCache(key, value) {
+  if (!CACHE_ENABLED) return;
+
+  try {
+    await writeFileAtomic(entryPath(key), JSON.stringify({ ...value, createdAt: new Date().toISOString() }));
+  } catch (error) {
+    console.error(`Failed to write cache entry ${key}:`, error.message);
+  }
+}
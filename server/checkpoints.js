@@ -0,0 +1,189 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { writeFileAtomic } from './files.js';
+
+// Durable job checkpoints, so a restart, deploy or crash part way through a
+// batch doesn't lose the calls already made. Each job gets a directory with
+// rows.json (the uploaded rows, written once), job.json (settings, status and
+// totals, rewritten on every change) and results.jsonl (one line appended per
+// finished call). Finished jobs stay on disk as the run history.
+// Turn off with JOB_CHECKPOINTS=false.
+
+const CHECKPOINTS_ENABLED = process.env.JOB_CHECKPOINTS !== 'false';
+
+const CHECKPOINT_DIR = process.env.JOB_CHECKPOINT_DIR || path.join(process.cwd(), 'data', 'jobs');
+
+// Writes for a job are chained so concurrent calls never interleave lines or
+// race on the state file
+const writeQueues = new Map();
+
+const jobDir = (jobId) => path.join(CHECKPOINT_DIR, jobId);
+
+// Job IDs are UUIDs - anything else never names a checkpoint directory
+const isJobId = (jobId) => /^[0-9a-f-]{36}$/i.test(jobId);
+
+function enqueueWrite(jobId, write) {
+  const next = (writeQueues.get(jobId) || Promise.resolve()).then(write);
+  writeQueues.set(jobId, next);
+  return next;
+}
+
+// Settings, status and totals - small enough to list every run from. Totals
+// are recomputed from the results when a job is restored.
+function jobState(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    fileName: job.fileName,
+    fileHash: job.fileHash,
+    rowCount: job.rowCount,
+    models: job.models,
+    iterations: job.iterations,
+    prompt: job.prompt,
+    modelParams: job.modelParams,
+    columnMapping: job.columnMapping,
+    watchlist: job.watchlist,
+    brandAliases: job.brandAliases,
+    ignoreCache: job.ignoreCache,
+    budgetLimit: job.budgetLimit,
+    sessionKeyProviders: job.sessionKeyProviders,
+    totalTasks: job.totalTasks,
+    completedTasks: job.completedTasks,
+    failedTasks: job.failedTasks,
+    skippedTasks: job.skippedTasks,
+    usage: job.usage,
+    stopReason: job.stopReason,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// First checkpoint for a new job, including its rows
+export function createCheckpoint(job) {
+  if (!CHECKPOINTS_ENABLED) return Promise.resolve();
+
+  const rows = JSON.stringify(job.rows);
+  const state = JSON.stringify(jobState(job));
+
+  return enqueueWrite(job.id, async () => {
+    try {
+      await fs.mkdir(jobDir(job.id), { recursive: true });
+      await writeFileAtomic(path.join(jobDir(job.id), 'rows.json'), rows);
+      await writeFileAtomic(path.join(jobDir(job.id), 'job.json'), state);
+    } catch (error) {
+      console.error(`Failed to create checkpoint for job ${job.id}:`, error.message);
+    }
+  });
+}
+
+export function saveJobState(job) {
+  if (!CHECKPOINTS_ENABLED) return Promise.resolve();
+
+  const state = JSON.stringify(jobState(job));
+
+  return enqueueWrite(job.id, async () => {
+    try {
+      await writeFileAtomic(path.join(jobDir(job.id), 'job.json'), state);
+    } catch (error) {
+      console.error(`Failed to save checkpoint for job ${job.id}:`, error.message);
+    }
+  });
+}
+
+// Record one finished call by its task index
+export function appendResult(job, index, result) {
+  if (!CHECKPOINTS_ENABLED) return Promise.resolve();
+
+  const line = `${JSON.stringify({ index, result })}\n`;
+
+  return enqueueWrite(job.id, async () => {
+    try {
+      await fs.appendFile(path.join(jobDir(job.id), 'results.jsonl'), line);
+    } catch (error) {
+      console.error(`Failed to checkpoint result ${index} of job ${job.id}:`, error.message);
+    }
+  });
+}
+
+export async function removeCheckpoint(jobId) {
+  if (!CHECKPOINTS_ENABLED) return;
+
+  await enqueueWrite(jobId, async () => {
+    try {
+      await fs.rm(jobDir(jobId), { recursive: true, force: true });
+    } catch (error) {
+      console.error(`Failed to remove checkpoint for job ${jobId}:`, error.message);
+    }
+  });
+  writeQueues.delete(jobId);
+}
+
+async function readResults(jobId) {
+  let content;
+  try {
+    content = await fs.readFile(path.join(jobDir(jobId), 'results.jsonl'), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  // A crash mid-append can leave a partial last line - that call is simply made again
+  const entries = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      console.warn(`Skipping unreadable checkpoint line for job ${jobId}`);
+    }
+  }
+  return entries;
+}
+
+async function readState(jobId) {
+  return JSON.parse(await fs.readFile(path.join(jobDir(jobId), 'job.json'), 'utf8'));
+}
+
+// The saved state of every checkpointed job, newest first
+export async function listCheckpoints() {
+  if (!CHECKPOINTS_ENABLED) return [];
+
+  let jobIds;
+  try {
+    jobIds = (await fs.readdir(CHECKPOINT_DIR)).filter(isJobId);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Failed to read job checkpoints:', error.message);
+    }
+    return [];
+  }
+
+  const states = [];
+  for (const jobId of jobIds) {
+    try {
+      states.push(await readState(jobId));
+    } catch (error) {
+      console.error(`Failed to read checkpoint for job ${jobId}:`, error.message);
+    }
+  }
+
+  return states.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Everything needed to rebuild a job as { state, results }, or null if it has no checkpoint
+export async function loadCheckpoint(jobId) {
+  if (!CHECKPOINTS_ENABLED || !isJobId(jobId)) return null;
+
+  try {
+    const state = await readState(jobId);
+    state.rows = JSON.parse(await fs.readFile(path.join(jobDir(jobId), 'rows.json'), 'utf8'));
+    return { state, results: await readResults(jobId) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to load checkpoint for job ${jobId}:`, error.message);
+    }
+    return null;
+  }
+}
@@ -0,0 +1,168 @@
+import { brandKey } from '../shared/brandNames.js';
+import { DEFAULT_BRAND_COUNT, PARSE_STATUS } from './responseParser.js';
+
+// Cross-model aggregation over the result rows, answering "which brands do
+// the models agree on for each product?".
+//
+// Brands are scored by rank: in a top-N list position 1 earns N points and
+// position N earns 1, so a brand every model ranks first beats one that
+// merely shows up at the bottom of every list.
+
+function rankedBrands(row, brandCount) {
+  const brands = [];
+  for (let i = 1; i <= brandCount; i++) {
+    const brand = row[`Brand ${i}`];
+    if (brand) brands.push(brand);
+  }
+  return brands;
+}
+
+function addMention(tally, brand, position, brandCount, modelKey) {
+  const key = brandKey(brand);
+  if (!tally.has(key)) {
+    tally.set(key, { brand, mentions: 0, score: 0, rankTotal: 0, models: new Set() });
+  }
+  const entry = tally.get(key);
+  entry.mentions++;
+  entry.score += brandCount - position;
+  entry.rankTotal += position + 1;
+  if (modelKey) entry.models.add(modelKey);
+}
+
+// Structured output rows carry a rationale and confidence for each brand. A
+// model's first rationale for a brand is kept, and its confidence averaged.
+function addReasons(reasons, row, brand, position) {
+  const rationale = row[`Rationale ${position + 1}`];
+  const confidence = row[`Confidence ${position + 1}`];
+  const key = brandKey(brand);
+  if (!reasons.has(key)) {
+    reasons.set(key, { rationale: '', confidenceTotal: 0, confidenceCount: 0 });
+  }
+  const entry = reasons.get(key);
+  if (rationale && !entry.rationale) entry.rationale = rationale;
+  if (typeof confidence === 'number') {
+    entry.confidenceTotal += confidence;
+    entry.confidenceCount++;
+  }
+}
+
+const byScore = (a, b) => b.score - a.score || b.mentions - a.mentions || a.brand.localeCompare(b.brand);
+
+// Group parsed rows by product, keeping first-seen product order. Rows with
+// the same prompt text but different pass-through values (two SKUs described
+// the same way, say) stay separate products.
+function groupByProduct(results, brandCount, passThroughColumns) {
+  const products = new Map();
+
+  for (const row of results) {
+    if (row['Parse Status'] === PARSE_STATUS.ERROR) continue;
+    const brands = rankedBrands(row, brandCount);
+    if (brands.length === 0) continue;
+
+    const passThrough = Object.fromEntries(passThroughColumns.map(column => [column, row[column] ?? '']));
+    const key = JSON.stringify([row['Original Product'], ...Object.values(passThrough)]);
+    if (!products.has(key)) {
+      products.set(key, {
+        product: row['Original Product'],
+        passThrough,
+        responses: 0,
+        tally: new Map(),
+        models: new Map()
+      });
+    }
+    const group = products.get(key);
+    group.responses++;
+
+    const modelKey = row['Model'];
+    if (!group.models.has(modelKey)) {
+      group.models.set(modelKey, { responses: 0, tally: new Map(), reasons: new Map() });
+    }
+    const modelGroup = group.models.get(modelKey);
+    modelGroup.responses++;
+
+    brands.forEach((brand, position) => {
+      addMention(group.tally, brand, position, brandCount, modelKey);
+      addMention(modelGroup.tally, brand, position, brandCount);
+      addReasons(modelGroup.reasons, row, brand, position);
+    });
+  }
+
+  return products;
+}
+
+// Returns the rows for the "Consensus", "Brand Frequency" and "Model Top Picks" sheets.
+// Each row starts with the pass-through columns so the sheets join back to the input.
+// Structured output results add the top pick's rationale and confidence to "Model Top Picks".
+export function buildConsensus(results, brandCount = DEFAULT_BRAND_COUNT, { passThroughColumns = [] } = {}) {
+  const structured = results.some(row => 'Rationale 1' in row);
+  const consensus = [];
+  const frequency = [];
+  const modelPicks = [];
+
+  for (const { product, passThrough, ...group } of groupByProduct(results, brandCount, passThroughColumns).values()) {
+    const ranked = Array.from(group.tally.values()).sort(byScore);
+    const modelCount = group.models.size;
+
+    const consensusRow = { ...passThrough, 'Product': product };
+    for (let i = 0; i < brandCount; i++) {
+      const entry = ranked[i];
+      consensusRow[`Consensus ${i + 1}`] = entry ? entry.brand : '';
+      consensusRow[`Consensus ${i + 1} Models`] = entry ? `${entry.models.size}/${modelCount}` : '';
+    }
+    consensusRow['Models'] = modelCount;
+    consensusRow['Responses'] = group.responses;
+    consensus.push(consensusRow);
+
+    for (const entry of ranked) {
+      frequency.push({
+        ...passThrough,
+        'Product': product,
+        'Brand': entry.brand,
+        'Mentions': entry.mentions,
+        'Responses': group.responses,
+        'Mention Rate (%)': Math.round((entry.mentions / group.responses) * 1000) / 10,
+        'Weighted Score': entry.score,
+        'Average Rank': Math.round((entry.rankTotal / entry.mentions) * 100) / 100,
+        'Models Mentioning': entry.models.size,
+        'Models': Array.from(entry.models).join(', ')
+      });
+    }
+
+    for (const [modelKey, modelGroup] of group.models) {
+      const modelRanked = Array.from(modelGroup.tally.values()).sort(byScore);
+      const top = modelRanked[0];
+      const reasons = top && modelGroup.reasons.get(brandKey(top.brand));
+      modelPicks.push({
+        ...passThrough,
+        'Product': product,
+        'Model': modelKey,
+        'Top Pick': top ? top.brand : '',
+        'Top Pick Mentions': top ? `${top.mentions}/${modelGroup.responses}` : '',
+        ...(structured ? {
+          'Top Pick Rationale': reasons?.rationale || '',
+          'Top Pick Confidence': reasons?.confidenceCount
+            ? Math.round((reasons.confidenceTotal / reasons.confidenceCount) * 100) / 100
+            : ''
+        } : {}),
+        [`Top ${brandCount}`]: modelRanked.slice(0, brandCount).map(entry => entry.brand).join(', '),
+        'Responses': modelGroup.responses
+      });
+    }
+  }
+
+  return { consensus, frequency, modelPicks };
+}
+
+// Each model's top brands per product, for comparing runs. A model's ranking
+// is its score order across all of its iterations, cut to brandCount.
+export function modelRankings(results, brandCount = DEFAULT_BRAND_COUNT, { passThroughColumns = [] } = {}) {
+  return Array.from(groupByProduct(results, brandCount, passThroughColumns), ([key, group]) => ({
+    key,
+    product: group.product,
+    passThrough: group.passThrough,
+    models: Object.fromEntries(Array.from(group.models, ([modelKey, modelGroup]) => [
+      modelKey,
+      Array.from(modelGroup.tally.values()).sort(byScore).slice(0, brandCount).map(entry => entry.brand)
+    ]))
+  }));
+}
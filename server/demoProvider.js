@@ -0,0 +1,220 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { estimateTokens } from './pricing.js';
+import { DEFAULT_BRAND_COUNT } from '../shared/promptTemplate.js';
+
+// Offline stand-in for a model provider. Responses come from a fixture
+// catalog of product categories and their brands, matched against the
+// prompt's keywords, and every choice is drawn from a random generator seeded
+// by the seed, model, prompt and iteration - so a rerun of the same file gives
+// the same brands in the same order. Temperature scales how much iterations
+// differ, and a fixed seed makes them identical. It can also simulate latency, rate limit
+// errors and malformed output, for testing retries and downstream parsing.
+//
+// Used by providers of type "demo", and in demo mode for every provider
+// without an API key. Settings come from the provider config, overridden by
+// the DEMO_* environment variables.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CATALOG_PATH = path.join(__dirname, '..', 'config', 'demo-catalog.json');
+
+const DEFAULT_SETTINGS = {
+  seed: 'demo',
+  latencyMs: { min: 300, max: 1200 },
+  rateLimitRate: 0,
+  malformedRate: 0
+};
+
+// How much a model's taste can reorder the catalog's brands, in list positions
+const MODEL_SPREAD = 4;
+const ITERATION_SPREAD = 1.5;
+
+const catalogs = new Map();
+
+// Calls made per prompt, so a retried call rolls again for a rate limit instead of failing the same way
+const attemptCounts = new Map();
+
+function loadCatalog(catalogPath) {
+  if (!catalogs.has(catalogPath)) {
+    let catalog;
+    try {
+      catalog = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load demo catalog ${catalogPath}: ${error.message}`);
+    }
+    catalogs.set(catalogPath, {
+      fallback: catalog.fallback,
+      categories: catalog.categories.map(category => ({
+        ...category,
+        // Whole words, allowing plurals: "lamp" matches "lamps" but not "clamp"
+        patterns: category.keywords.map(keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:e?s)?\\b`, 'i'))
+      }))
+    });
+  }
+  return catalogs.get(catalogPath);
+}
+
+// "200-800" or "500" from the environment
+function parseLatency(value) {
+  const match = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(value || '');
+  if (!match) return null;
+  const min = Number(match[1]);
+  return { min, max: match[2] ? Number(match[2]) : min };
+}
+
+function parseRate(value) {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) ? Math.min(1, Math.max(0, rate)) : null;
+}
+
+// Only demo providers carry demo settings; other providers in demo mode use the defaults
+export function demoSettings(provider = {}) {
+  const config = provider.type === 'demo' ? provider : {};
+  return {
+    seed: String(process.env.DEMO_SEED ?? config.seed ?? DEFAULT_SETTINGS.seed),
+    latencyMs: parseLatency(process.env.DEMO_LATENCY_MS) ?? config.latencyMs ?? DEFAULT_SETTINGS.latencyMs,
+    rateLimitRate: parseRate(process.env.DEMO_RATE_LIMIT_RATE) ?? config.rateLimitRate ?? DEFAULT_SETTINGS.rateLimitRate,
+    malformedRate: parseRate(process.env.DEMO_MALFORMED_RATE) ?? config.malformedRate ?? DEFAULT_SETTINGS.malformedRate,
+    catalog: process.env.DEMO_CATALOG || (config.catalog ? path.resolve(config.catalog) : DEFAULT_CATALOG_PATH)
+  };
+}
+
+// mulberry32, seeded from a hash of the parts - returns numbers in [0, 1)
+function seededRandom(...parts) {
+  let state = crypto.createHash('sha256').update(JSON.stringify(parts)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// The category with the most keywords in the prompt; the first listed wins a tie
+function matchCategory(catalog, prompt) {
+  let best = null;
+  let bestHits = 0;
+  for (const category of catalog.categories) {
+    const hits = category.patterns.filter(pattern => pattern.test(prompt)).length;
+    if (hits > bestHits) {
+      best = category;
+      bestHits = hits;
+    }
+  }
+  return best || catalog.fallback;
+}
+
+// Catalog order is popularity. Each model reshuffles it by a fixed amount per
+// product, and each iteration a little more, the way real models mostly agree
+// with themselves but not with each other.
+function pickBrands(category, count, modelRandom, iterationRandom, temperature) {
+  return category.brands
+    .map((brand, position) => ({
+      brand,
+      score: position + modelRandom() * MODEL_SPREAD + iterationRandom() * ITERATION_SPREAD * temperature
+    }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, count)
+    .map(entry => entry.brand);
+}
+
+// Output a parser has to cope with, or give up on
+const MALFORMED_OUTPUTS = [
+  (brands) => `I'd suggest starting with ${brands[0]}, which is known for quality, although ${brands[1]} is a strong alternative if budget matters.`,
+  (brands) => `${brands.slice(0, 2).join(', ')}, ${brands[2].slice(0, Math.ceil(brands[2].length / 2))}`,
+  (brands) => JSON.stringify({ brands }),
+  () => "I'm sorry, but I can't recommend specific brands for this product.",
+  () => ''
+];
+
+// One-line reasons for structured output, picked per brand
+const RATIONALES = [
+  (brand, category) => `${brand} is one of the best-known names in ${category}.`,
+  (brand) => `${brand} is consistently well reviewed for quality and reliability.`,
+  (brand) => `${brand} offers good value across a wide price range.`,
+  (brand, category) => `${brand} has a strong reputation for design in ${category}.`,
+  (brand) => `${brand} is widely available and backed by good customer support.`
+];
+
+// JSON in the structured output format, with confidence falling with rank
+function structuredOutput(brands, category, random) {
+  // The fallback category has no keywords, and "General" reads badly in a sentence
+  const field = category.keywords ? category.name.toLowerCase() : 'its field';
+  return JSON.stringify({
+    brands: brands.map((brand, index) => ({
+      brand,
+      rank: index + 1,
+      rationale: RATIONALES[Math.floor(random() * RATIONALES.length)](brand, field),
+      confidence: Math.round(Math.max(0.2, 0.95 - index * 0.1 - random() * 0.1) * 100) / 100
+    }))
+  });
+}
+
+class DemoRateLimitError extends Error {
+  constructor(retryAfterMs) {
+    super('429 Rate limit reached (simulated by the demo provider)');
+    this.name = 'DemoRateLimitError';
+    this.status = 429;
+    this.headers = { 'retry-after-ms': String(retryAfterMs) };
+  }
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new Error('Request aborted'));
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new Error('Request aborted'));
+    }, { once: true });
+  });
+}
+
+// Same contract as requestModel: resolves with { text, usage: { inputTokens, outputTokens } }.
+// With structured it answers in the structured output JSON instead of a comma separated list.
+export async function requestDemo(provider, model, prompt, { params = {}, brandCount = DEFAULT_BRAND_COUNT, iteration = 1, structured = false }, signal) {
+  const settings = demoSettings(provider);
+  const callKey = JSON.stringify([model.id, prompt, iteration]);
+  const attempt = (attemptCounts.get(callKey) || 0) + 1;
+  attemptCounts.set(callKey, attempt);
+
+  const callRandom = seededRandom(settings.seed, 'call', callKey, attempt);
+  const { min, max } = settings.latencyMs;
+  await delay(min + callRandom() * Math.max(0, max - min), signal);
+
+  if (callRandom() < settings.rateLimitRate) {
+    throw new DemoRateLimitError(Math.round(200 + callRandom() * 800));
+  }
+  attemptCounts.delete(callKey);
+
+  const category = matchCategory(loadCatalog(settings.catalog), prompt);
+  // At least three, which the malformed outputs draw on
+  const brands = pickBrands(
+    category,
+    Math.max(3, brandCount),
+    seededRandom(settings.seed, 'model', model.id, prompt),
+    // Like a real model's seed, a fixed one gives every iteration the same draw
+    seededRandom(settings.seed, 'iteration', model.id, prompt, params.seed ?? iteration),
+    params.temperature ?? 1
+  );
+
+  const outputRandom = seededRandom(settings.seed, 'output', callKey);
+  let text;
+  if (outputRandom() < settings.malformedRate) {
+    text = MALFORMED_OUTPUTS[Math.floor(outputRandom() * MALFORMED_OUTPUTS.length)](brands);
+  } else if (structured) {
+    text = structuredOutput(brands.slice(0, brandCount), category, outputRandom);
+  } else {
+    text = brands.slice(0, brandCount).join(', ');
+  }
+
+  return {
+    text,
+    usage: {
+      inputTokens: estimateTokens(params.systemPrompt) + estimateTokens(prompt),
+      outputTokens: estimateTokens(text)
+    }
+  };
+}
@@ -0,0 +1,149 @@
+import { once } from 'events';
+import XLSX from 'xlsx';
+import { parquetWriteBuffer } from 'hyparquet-writer';
+import { buildConsensus } from './consensus.js';
+import { buildShareOfVoice } from '../shared/shareOfVoice.js';
+
+// Result exports for GET /api/jobs/:id/download. Text formats are written to
+// the response row by row; xlsx and parquet are built in memory first, since
+// both libraries need the whole table to lay out the file.
+
+export const EXPORT_FORMATS = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  parquet: 'application/vnd.apache.parquet'
+};
+
+// Excel sheet names are at most 31 characters and can't contain : \ / ? * [ ]
+const MAX_SHEET_NAME = 31;
+
+// Every column that appears in any row, in first-seen order
+function columnsOf(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) columns.push(column);
+    }
+  }
+  return columns;
+}
+
+// "catalog.xlsx" -> "catalog-recommendations-1a2b3c4d.csv"
+export function exportFileName(job, format) {
+  const baseName = (job.fileName || 'products').replace(/\.[^.]+$/, '');
+  return `${baseName}-recommendations-${job.id.slice(0, 8)}.${format}`;
+}
+
+function uniqueSheetName(name, workbook) {
+  const base = name.replace(/[:\\/?*[\]]/g, '_').slice(0, MAX_SHEET_NAME) || 'Sheet';
+  let sheetName = base;
+  for (let i = 2; workbook.SheetNames.includes(sheetName); i++) {
+    const suffix = ` (${i})`;
+    sheetName = base.slice(0, MAX_SHEET_NAME - suffix.length) + suffix;
+  }
+  return sheetName;
+}
+
+// Raw rows plus per-product consensus summaries. passThroughColumns are
+// repeated on the summary sheets so they join back too; sheetPerModel splits
+// the raw rows into one sheet per model instead of a single sheet. A watchlist
+// adds a "Share of Voice" sheet for its brands.
+export function generateExcel(rows, { brandCount, passThroughColumns = [], sheetPerModel = false, watchlist = [] } = {}) {
+  const workbook = XLSX.utils.book_new();
+
+  if (sheetPerModel) {
+    const byModel = new Map();
+    for (const row of rows) {
+      if (!byModel.has(row['Model'])) byModel.set(row['Model'], []);
+      byModel.get(row['Model']).push(row);
+    }
+    for (const [modelKey, modelRows] of byModel) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(modelRows), uniqueSheetName(modelKey, workbook));
+    }
+  }
+  if (!sheetPerModel || rows.length === 0) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Recommendations');
+  }
+
+  const { consensus, frequency, modelPicks } = buildConsensus(rows, brandCount, { passThroughColumns });
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(consensus), uniqueSheetName('Consensus', workbook));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(frequency), uniqueSheetName('Brand Frequency', workbook));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(modelPicks), uniqueSheetName('Model Top Picks', workbook));
+  if (watchlist.length > 0) {
+    const shareOfVoice = buildShareOfVoice(rows, watchlist, { brandCount, passThroughColumns });
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(shareOfVoice), uniqueSheetName('Share of Voice', workbook));
+  }
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Numeric columns become DOUBLE (blank for failed calls is null); everything else is a string
+function parquetColumns(rows) {
+  return columnsOf(rows).map(name => {
+    const values = rows.map(row => (row[name] === '' || row[name] === undefined ? null : row[name]));
+    const present = values.filter(value => value !== null);
+    const numeric = present.length > 0 && present.every(value => typeof value === 'number');
+    return {
+      name,
+      type: numeric ? 'DOUBLE' : 'STRING',
+      data: numeric ? values : values.map(value => (value === null ? null : String(value)))
+    };
+  });
+}
+
+// Lines of each text format, generated lazily so large results aren't held twice
+function* csvLines(rows) {
+  const columns = columnsOf(rows);
+  // The byte order mark tells Excel the file is UTF-8
+  yield `\uFEFF${columns.map(csvField).join(',')}\r\n`;
+  for (const row of rows) {
+    yield `${columns.map(column => csvField(row[column])).join(',')}\r\n`;
+  }
+}
+
+function* jsonLines(rows) {
+  yield '[\n';
+  for (let i = 0; i < rows.length; i++) {
+    yield `${JSON.stringify(rows[i])}${i < rows.length - 1 ? ',' : ''}\n`;
+  }
+  yield ']\n';
+}
+
+function* jsonlLines(rows) {
+  for (const row of rows) {
+    yield `${JSON.stringify(row)}\n`;
+  }
+}
+
+const TEXT_FORMATS = { csv: csvLines, json: jsonLines, jsonl: jsonlLines };
+
+// Write lines as the client reads them, stopping if it disconnects
+async function streamLines(res, lines) {
+  for (const line of lines) {
+    if (res.destroyed) return;
+    if (!res.write(line)) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  }
+  res.end();
+}
+
+// Writes the rows to res in the requested format and ends the response
+export async function writeExport(res, format, rows, options = {}) {
+  if (format === 'xlsx') {
+    res.end(generateExcel(rows, options));
+  } else if (format === 'parquet') {
+    res.end(Buffer.from(parquetWriteBuffer({ columnData: parquetColumns(rows) })));
+  } else if (TEXT_FORMATS[format]) {
+    await streamLines(res, TEXT_FORMATS[format](rows));
+  } else {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+}
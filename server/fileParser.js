@@ -0,0 +1,117 @@
+import { Readable } from 'stream';
+import csv from 'csv-parser';
+import XLSX from 'xlsx';
+import {
+  ACCEPTED_EXTENSIONS,
+  FILE_FORMAT,
+  decodeText,
+  detectDelimiter,
+  detectFileFormat,
+  normalizeRecords,
+  parseJsonRecords
+} from '../shared/productFile.js';
+
+// Parses an uploaded product file into rows keyed by column name. See
+// shared/productFile.js for the formats and encodings that are recognised.
+
+// A file the user needs to fix, returned to the client as a 400
+export class FileFormatError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FileFormatError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Signs of a malformed file, for the preview: header cells left blank (their
+// values are dropped), and rows with more or fewer values than the header -
+// usually a stray or missing delimiter. Row numbers count from the first row
+// under the header.
+function emptyIssues() {
+  return { unnamedColumns: 0, extraValueRows: [], missingValueRows: [] };
+}
+
+function parseDelimited(text, separator) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    const issues = emptyIssues();
+    let headers = [];
+
+    Readable.from([text])
+      .pipe(csv({ separator, mapHeaders: ({ header }) => header.trim() }))
+      .on('headers', (names) => {
+        headers = names;
+        issues.unnamedColumns = names.filter(name => !name).length;
+      })
+      .on('data', (data) => {
+        results.push(data);
+        const keys = Object.keys(data);
+        // csv-parser names values past the last header _3, _4, ...
+        if (keys.some(key => !headers.includes(key))) {
+          issues.extraValueRows.push(results.length);
+        } else if (keys.length > 0 && keys.length < headers.length) {
+          issues.missingValueRows.push(results.length);
+        }
+      })
+      .on('end', () => resolve({ records: results, issues }))
+      .on('error', reject);
+  });
+}
+
+// Reads the requested sheet, or the first one when none is given
+function parseWorkbook(buffer, sheetName) {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer' });
+  } catch (error) {
+    throw new FileFormatError(`Could not read the workbook: ${error.message}`);
+  }
+
+  const sheetNames = workbook.SheetNames;
+  const sheet = sheetName || sheetNames[0];
+  if (!workbook.Sheets[sheet]) {
+    throw new FileFormatError(`Sheet "${sheet}" not found - the workbook has ${sheetNames.join(', ')}`, { sheetNames });
+  }
+
+  // raw: false gives the cell text as displayed, so IDs and prices keep their formatting
+  const records = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: '', raw: false });
+  // Columns without a header cell come back as __EMPTY, __EMPTY_1, ...
+  const issues = emptyIssues();
+  issues.unnamedColumns = Object.keys(records[0] || {}).filter(key => /^__EMPTY(?:_\d+)?$/.test(key)).length;
+  return { records, issues, sheetNames, sheetName: sheet };
+}
+
+// Resolves with { rows, columns, rowNumbers, blankRows, issues, format, encoding,
+// delimiter, sheetNames, sheetName }
+export async function parseProductFile(buffer, fileName, { sheetName } = {}) {
+  const format = detectFileFormat(fileName);
+  if (!format) {
+    throw new FileFormatError(`Unsupported file type - upload one of ${ACCEPTED_EXTENSIONS.join(', ')}`);
+  }
+
+  if (format === FILE_FORMAT.WORKBOOK) {
+    const workbook = parseWorkbook(buffer, sheetName);
+    return {
+      ...normalizeRecords(workbook.records),
+      issues: workbook.issues,
+      format,
+      sheetNames: workbook.sheetNames,
+      sheetName: workbook.sheetName
+    };
+  }
+
+  const { text, encoding } = decodeText(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+
+  if (format === FILE_FORMAT.DELIMITED) {
+    const delimiter = detectDelimiter(text);
+    const { records, issues } = await parseDelimited(text, delimiter);
+    return { ...normalizeRecords(records), issues, format, encoding, delimiter };
+  }
+
+  try {
+    return { ...normalizeRecords(parseJsonRecords(text, format)), issues: emptyIssues(), format, encoding };
+  } catch (error) {
+    throw new FileFormatError(error.message);
+  }
+}
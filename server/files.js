@@ -0,0 +1,19 @@
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Writes a file through a temporary file and a rename, so a crash never leaves
+// a half-written file behind. Each write has its own temporary file, so two
+// writes of the same file at once can't rename each other's. Creates the
+// directory if it doesn't exist yet.
+export async function writeFileAtomic(file, content) {
+  const tempFile = `${file}.${randomUUID()}.tmp`;
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  try {
+    await fs.writeFile(tempFile, content);
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.rm(tempFile, { force: true });
+    throw error;
+  }
+}
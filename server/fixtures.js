@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ERROR_CATEGORY } from './retry.js';
+import { writeFileAtomic } from './files.js';
+
+// Record-and-replay of provider calls. With PROVIDER_FIXTURES=record every
+// real model response is saved as a fixture file; with PROVIDER_FIXTURES=replay
+// calls are answered from those files only and nothing goes over the network,
+// so parsing, aggregation and exports can be re-run against real model output
+// without keys or cost. Fixtures are keyed like the response cache, by
+// everything that affects the response, but never expire.
+
+const FIXTURE_MODES = ['record', 'replay'];
+
+export const FIXTURE_MODE = FIXTURE_MODES.includes(process.env.PROVIDER_FIXTURES) ? process.env.PROVIDER_FIXTURES : null;
+
+if (process.env.PROVIDER_FIXTURES && !FIXTURE_MODE) {
+  console.warn(`Ignoring PROVIDER_FIXTURES="${process.env.PROVIDER_FIXTURES}" - use one of ${FIXTURE_MODES.join(', ')}`);
+}
+
+const FIXTURE_DIR = process.env.PROVIDER_FIXTURES_DIR || path.join(process.cwd(), 'data', 'fixtures');
+
+// A replayed call with no recording. Not retried - it would miss again.
+export class FixtureMissError extends Error {
+  constructor({ modelKey, iteration, prompt, key }) {
+    const preview = prompt.length > 60 ? `${prompt.slice(0, 60)}...` : prompt;
+    super(`No recorded response for ${modelKey} iteration ${iteration}, prompt "${preview}" (fixture ${key}). Record it first with PROVIDER_FIXTURES=record`);
+    this.name = 'FixtureMissError';
+    this.category = ERROR_CATEGORY.REPLAY_MISS;
+    this.source = 'replay';
+    this.key = key;
+  }
+}
+
+// Grouped by provider and model so the recordings are easy to browse
+const safeName = (name) => String(name).replace(/[^\w.-]+/g, '_');
+
+function fixturePath(key, { provider, modelKey }) {
+  return path.join(FIXTURE_DIR, safeName(provider), safeName(modelKey), `${key}.json`);
+}
+
+// Resolves with the recorded { text, usage }, or null on a miss
+export async function readFixture(key, target) {
+  try {
+    const fixture = JSON.parse(await fs.readFile(fixturePath(key, target), 'utf8'));
+    return fixture.response;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Failed to read fixture ${key}:`, error.message);
+    }
+    return null;
+  }
+}
+
+// Saves the request alongside the response so a fixture can be read on its own
+export async function recordFixture(key, { provider, modelKey, model, request, response }) {
+  const fixture = { provider, modelKey, model, request, response, recordedAt: new Date().toISOString() };
+
+  try {
+    await writeFileAtomic(fixturePath(key, { provider, modelKey }), `${JSON.stringify(fixture, null, 2)}\n`);
+  } catch (error) {
+    console.error(`Failed to record fixture ${key}:`, error.message);
+  }
+}
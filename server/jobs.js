@@ -0,0 +1,250 @@
+import { randomUUID } from 'crypto';
+import { addUsage, emptyUsage } from './pricing.js';
+import {
+  createCheckpoint,
+  listCheckpoints,
+  loadCheckpoint,
+  removeCheckpoint,
+  saveJobState
+} from './checkpoints.js';
+
+// In-memory job store, backed by the checkpoints in server/checkpoints.js.
+// Jobs are kept newest-first up to MAX_JOBS so the server doesn't grow
+// without bound on long-running deployments; older finished jobs are loaded
+// back from their checkpoint when they're needed again.
+const MAX_JOBS = 50;
+
+// Finished runs kept on disk as history. The oldest are deleted past this.
+const HISTORY_LIMIT = Number(process.env.JOB_HISTORY_LIMIT) || 200;
+const jobs = new Map();
+
+// Thrown for calls that were never made because the job was stopped
+export class JobStoppedError extends Error {
+  constructor(reason) {
+    super(`Job stopped: ${reason}`);
+    this.name = 'JobStoppedError';
+    this.reason = reason;
+  }
+}
+
+export function createJob({ fileName, fileHash, rows, models, iterations, prompt, modelParams, columnMapping, watchlist = [], brandAliases = {}, ignoreCache = false, budgetLimit = null, apiKeys = {} }) {
+  const job = {
+    id: randomUUID(),
+    status: 'queued',
+    fileName,
+    fileHash,
+    rows,
+    rowCount: rows.length,
+    models,
+    iterations,
+    prompt,
+    // Generation parameters per model, as sent to the provider
+    modelParams,
+    columnMapping,
+    // Brands to report share of voice for
+    watchlist,
+    // The alias dictionary its brands are given canonical names with
+    brandAliases,
+    ignoreCache,
+    budgetLimit,
+    // Which providers were called with the user's own key - never the keys themselves
+    sessionKeyProviders: Object.keys(apiKeys),
+    totalTasks: rows.length * models.length * iterations,
+    completedTasks: 0,
+    failedTasks: 0,
+    skippedTasks: 0,
+    usage: emptyUsage(),
+    stopReason: null,
+    pause: null,
+    currentProduct: '',
+    currentModel: '',
+    results: [],
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  // Session keys live on the job in memory only. Not enumerable, so they're
+  // left out of anything that copies or serializes the job; cleared when it finishes.
+  Object.defineProperty(job, 'apiKeys', { value: apiKeys, writable: true });
+
+  addJob(job);
+  createCheckpoint(job).then(pruneHistory);
+  return job;
+}
+
+function addJob(job) {
+  jobs.set(job.id, job);
+
+  // Drop the oldest finished jobs once we're over the limit
+  if (jobs.size > MAX_JOBS) {
+    for (const [id, existing] of jobs) {
+      if (jobs.size <= MAX_JOBS) break;
+      if (isFinished(existing)) jobs.delete(id);
+    }
+  }
+}
+
+// Delete the checkpoints of the oldest finished runs past HISTORY_LIMIT
+async function pruneHistory() {
+  const finished = (await listCheckpoints()).filter(isFinished);
+  for (const state of finished.slice(HISTORY_LIMIT)) {
+    jobs.delete(state.id);
+    await removeCheckpoint(state.id);
+  }
+}
+
+// Rebuild a job from its checkpoint. Counters and usage are recomputed from
+// the saved results; tasks without a result are run when the job is processed.
+// A re-run result is saved after the one it replaces, so the last one wins.
+export function restoreJob(state, savedResults) {
+  const job = {
+    ...state,
+    rowCount: state.rows.length,
+    totalTasks: state.rows.length * state.models.length * state.iterations,
+    completedTasks: 0,
+    failedTasks: 0,
+    skippedTasks: 0,
+    usage: emptyUsage(),
+    pause: null,
+    currentProduct: '',
+    currentModel: '',
+    results: []
+  };
+
+  for (const { index, result } of savedResults) {
+    job.results[index] = result;
+  }
+  for (const result of jobResults(job)) {
+    job.completedTasks++;
+    if (isFailedResult(result)) {
+      job.failedTasks++;
+    }
+    addUsage(job.usage, {
+      inputTokens: Number(result['Input Tokens']) || 0,
+      outputTokens: Number(result['Output Tokens']) || 0
+    }, Number(result['Cost (USD)']) || 0);
+  }
+
+  addJob(job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+export function listJobs() {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// A job from memory, or rebuilt from its checkpoint if it has been evicted.
+// Resolves null for unknown jobs.
+export async function loadJob(id) {
+  const job = getJob(id);
+  if (job) return job;
+
+  const checkpoint = await loadCheckpoint(id);
+  if (!checkpoint) return null;
+  // Another request may have loaded it while the files were being read
+  return getJob(id) || restoreJob(checkpoint.state, checkpoint.results);
+}
+
+// Every run, newest first: checkpointed runs plus any in memory that aren't
+// on disk (all of them when checkpoints are turned off). In-memory jobs have
+// the live status and progress.
+export async function listHistory() {
+  const runs = new Map((await listCheckpoints()).map(state => [state.id, serializeJob(state)]));
+  for (const job of jobs.values()) {
+    runs.set(job.id, serializeJob(job));
+  }
+  return Array.from(runs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+// Pausing stops new calls from starting; calls already in flight still finish.
+// job.pause holds the promise that queued calls wait on until the job resumes.
+export function pauseJob(job) {
+  let resume;
+  const resumed = new Promise(resolve => { resume = resolve; });
+  job.pause = { resumed, resume };
+  job.status = 'paused';
+  saveJobState(job);
+}
+
+export function resumeJob(job) {
+  if (job.pause) {
+    job.pause.resume();
+    job.pause = null;
+  }
+  job.status = 'running';
+  saveJobState(job);
+}
+
+// Cancelling stops new calls the same way a budget does. The job finishes as
+// 'cancelled' once in-flight calls return, keeping the results collected so far.
+export function cancelJob(job) {
+  job.stopReason = 'cancelled';
+  if (job.status === 'paused') {
+    resumeJob(job);
+  } else {
+    saveJobState(job);
+  }
+}
+
+// Resolves when a paused job is resumed or cancelled; null while it isn't paused
+export function pauseGate(job) {
+  return job.pause ? job.pause.resumed : null;
+}
+
+// Results in task order. Tasks finish out of order, so unfinished slots are holes.
+export function jobResults(job) {
+  return job.results.filter(Boolean);
+}
+
+// A row whose call failed or whose structured answer was still invalid. These
+// are the rows counted in failedTasks and the ones that can be re-run.
+export function isFailedResult(result) {
+  return Boolean(result['Error']);
+}
+
+// Public view of a job - everything except the rows and results
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    fileName: job.fileName,
+    fileHash: job.fileHash,
+    models: job.models,
+    iterations: job.iterations,
+    prompt: job.prompt,
+    modelParams: job.modelParams || null,
+    columnMapping: job.columnMapping,
+    watchlist: job.watchlist || [],
+    // The dictionary itself can be large; the run only needs to say it had one
+    brandAliasCount: Object.keys(job.brandAliases || {}).length,
+    ignoreCache: job.ignoreCache,
+    budgetLimit: job.budgetLimit,
+    sessionKeyProviders: job.sessionKeyProviders || [],
+    totalProducts: job.rowCount,
+    totalTasks: job.totalTasks,
+    completedTasks: job.completedTasks,
+    failedTasks: job.failedTasks,
+    skippedTasks: job.skippedTasks,
+    usage: job.usage,
+    stopReason: job.stopReason,
+    percentage: job.totalTasks > 0 ? Math.round((job.completedTasks / job.totalTasks) * 100) : 0,
+    currentProduct: job.currentProduct,
+    currentModel: job.currentModel,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
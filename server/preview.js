@@ -0,0 +1,178 @@
+import { FILE_FORMAT } from '../shared/productFile.js';
+import { renderJobPrompt } from '../shared/promptTemplate.js';
+import { demoSettings } from './demoProvider.js';
+import { FIXTURE_MODE } from './fixtures.js';
+import { getModel, getProvider, hasApiKey } from './providers.js';
+import { limitsFor } from './scheduler.js';
+
+// Pre-run check of a job for POST /api/preview: what the file parsed into,
+// the rows likely to be mistakes, how many calls the run makes and roughly
+// how long it takes, and the exact prompt for a sample row - so a broken
+// file is caught before any calls are paid for.
+
+export const DEFAULT_PREVIEW_ROWS = 10;
+export const MAX_PREVIEW_ROWS = 100;
+
+// Row numbers listed in a warning before it says "and N more"
+const MAX_LISTED_ROWS = 10;
+
+// Typical response times for a short answer, for the duration estimate
+const TYPICAL_LATENCY_MS = 3000;
+const REASONING_LATENCY_MS = 15000;
+
+export function previewRowCount(value) {
+  const count = parseInt(value);
+  if (!Number.isFinite(count) || count < 1) return DEFAULT_PREVIEW_ROWS;
+  return Math.min(count, MAX_PREVIEW_ROWS);
+}
+
+// The providers the browser has session keys for. The preview is sent their
+// ids rather than the keys, which only go with the job itself.
+export function previewKeyProviders(value) {
+  try {
+    const providers = JSON.parse(value || '[]');
+    return Array.isArray(providers) ? providers.filter(providerId => typeof providerId === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+// Rows identical in every column to an earlier row. They're still run - each
+// is a separate call - but are usually a copy-paste mistake.
+function findDuplicates(rows, rowNumbers) {
+  const firstSeen = new Map();
+  const duplicates = [];
+  rows.forEach((row, index) => {
+    const key = JSON.stringify(Object.values(row).map(value => value.trim().toLowerCase()));
+    if (firstSeen.has(key)) {
+      duplicates.push({ row: rowNumbers[index], duplicateOf: firstSeen.get(key) });
+    } else {
+      firstSeen.set(key, rowNumbers[index]);
+    }
+  });
+  return duplicates;
+}
+
+// Rows with values, but none in the columns that go into the prompt
+function findEmptyPrompts(rows, rowNumbers, promptColumns) {
+  return rows
+    .map((row, index) => (promptColumns.every(column => !(row[column] || '').trim()) ? rowNumbers[index] : null))
+    .filter(row => row !== null);
+}
+
+function listRows(rowNumbers) {
+  const listed = rowNumbers.slice(0, MAX_LISTED_ROWS).join(', ');
+  const more = rowNumbers.length - MAX_LISTED_ROWS;
+  return more > 0 ? `${listed} and ${more} more` : listed;
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function fileWarnings({ file, duplicateRows, emptyPromptRows }) {
+  const warnings = [];
+  const { issues, blankRows } = file;
+
+  if (issues.unnamedColumns > 0) {
+    warnings.push(file.format === FILE_FORMAT.WORKBOOK
+      ? `${plural(issues.unnamedColumns, 'column')} without a header - named __EMPTY in the results. Add a header in the first row.`
+      : `${plural(issues.unnamedColumns, 'column')} without a header - the values are ignored. Add a name to the header row.`);
+  }
+  if (issues.extraValueRows.length > 0) {
+    warnings.push(`${plural(issues.extraValueRows.length, 'row')} with more values than the header has columns, often a stray delimiter: rows ${listRows(issues.extraValueRows)}`);
+  }
+  if (issues.missingValueRows.length > 0) {
+    warnings.push(`${plural(issues.missingValueRows.length, 'row')} with fewer values than the header has columns: rows ${listRows(issues.missingValueRows)}`);
+  }
+  if (blankRows.length > 0) {
+    warnings.push(`${plural(blankRows.length, 'blank row')} skipped: rows ${listRows(blankRows)}`);
+  }
+  if (emptyPromptRows.length > 0) {
+    warnings.push(`${plural(emptyPromptRows.length, 'row')} with nothing in the prompt columns: rows ${listRows(emptyPromptRows)}`);
+  }
+  if (duplicateRows.length > 0) {
+    const listed = duplicateRows.slice(0, MAX_LISTED_ROWS).map(({ row, duplicateOf }) => `${row} (same as ${duplicateOf})`);
+    const more = duplicateRows.length - listed.length;
+    warnings.push(`${plural(duplicateRows.length, 'duplicate row')}, each called again: rows ${listed.join(', ')}${more > 0 ? ` and ${more} more` : ''}`);
+  }
+
+  return warnings;
+}
+
+// Demo and replayed calls take their simulated latency or none at all. A
+// provider with a session key is called for real, like one with a server key.
+function callLatency(model, sessionKeyProviders) {
+  const provider = getProvider(model.provider);
+  if (FIXTURE_MODE === 'replay' && provider.type !== 'demo') return 0;
+  if (provider.type === 'demo' || !(sessionKeyProviders.includes(model.provider) || hasApiKey(provider))) {
+    const { min, max } = demoSettings(provider).latencyMs;
+    return (min + max) / 2;
+  }
+  return model.reasoning ? REASONING_LATENCY_MS : TYPICAL_LATENCY_MS;
+}
+
+// Providers run side by side, each as fast as its concurrency and rate limit
+// allow, so the run takes as long as the slowest provider. Ignores retries,
+// cache hits and other jobs sharing the queues.
+export function estimateDuration({ rows, models, iterations }, sessionKeyProviders = []) {
+  const byProvider = new Map();
+  for (const modelKey of models) {
+    const model = getModel(modelKey);
+    const calls = rows.length * iterations;
+    const entry = byProvider.get(model.provider) || { provider: model.provider, calls: 0, busyMs: 0 };
+    entry.calls += calls;
+    entry.busyMs += calls * callLatency(model, sessionKeyProviders);
+    byProvider.set(model.provider, entry);
+  }
+
+  const providers = Array.from(byProvider.values()).map(({ provider, calls, busyMs }) => {
+    const { concurrency, requestsPerMinute } = limitsFor(provider);
+    const seconds = Math.max(busyMs / concurrency / 1000, (calls / requestsPerMinute) * 60);
+    return { provider, calls, seconds: Math.ceil(seconds) };
+  });
+
+  return {
+    seconds: Math.max(0, ...providers.map(entry => entry.seconds)),
+    byProvider: providers
+  };
+}
+
+// jobRequest is what parseJobRequest returns for the same form fields as /api/upload
+export function previewJob(jobRequest, { rowCount = DEFAULT_PREVIEW_ROWS, sessionKeyProviders = [] } = {}) {
+  const { file, rows, models, iterations, prompt, modelParams, columnMapping } = jobRequest;
+  const { promptColumns } = columnMapping;
+
+  const duplicateRows = findDuplicates(rows, file.rowNumbers);
+  const emptyPromptRows = findEmptyPrompts(rows, file.rowNumbers, promptColumns);
+
+  // Only system prompts a model has of its own are listed separately
+  const systemPrompts = Object.fromEntries(
+    Object.entries(modelParams)
+      .filter(([, params]) => params.systemPrompt !== prompt.systemPrompt)
+      .map(([modelKey, params]) => [modelKey, params.systemPrompt || ''])
+  );
+
+  return {
+    fileName: jobRequest.fileName,
+    format: file.format,
+    encoding: file.encoding || null,
+    delimiter: file.delimiter || null,
+    sheetName: file.sheetName || null,
+    sheetNames: file.sheetNames || null,
+    columns: file.columns,
+    rows: rows.slice(0, rowCount).map((row, index) => ({ row: file.rowNumbers[index], values: row })),
+    totalRows: rows.length,
+    blankRows: file.blankRows,
+    duplicateRows,
+    emptyPromptRows,
+    issues: file.issues,
+    warnings: fileWarnings({ file, duplicateRows, emptyPromptRows }),
+    totalCalls: rows.length * models.length * iterations,
+    duration: estimateDuration(jobRequest, sessionKeyProviders),
+    sample: {
+      row: file.rowNumbers[0],
+      systemPrompt: prompt.systemPrompt,
+      systemPrompts,
+      prompt: renderJobPrompt(prompt, rows[0], promptColumns)
+    }
+  };
+}
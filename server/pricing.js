@@ -0,0 +1,85 @@
+import { getModel } from './providers.js';
+import { formatProductInfo, renderJobPrompt } from '../shared/promptTemplate.js';
+
+// Token cost accounting. Prices come from the "pricing" field of each model
+// in config/models.json, in USD per million input and output tokens.
+
+const TOKENS_PER_MILLION = 1000000;
+
+// Rough token count for estimates - about four characters per token for English text
+const CHARS_PER_TOKEN = 4;
+
+// A comma separated list of brand names plus a little slack for preambles
+const OUTPUT_TOKENS_PER_BRAND = 8;
+// Structured output adds JSON keys, a rationale and a confidence to each brand
+const OUTPUT_TOKENS_PER_STRUCTURED_BRAND = 40;
+const OUTPUT_TOKENS_OVERHEAD = 20;
+
+export function roundCost(cost) {
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+export function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+// Cost in USD of one call, or null when the model has no pricing configured
+export function callCost(modelKey, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const pricing = getModel(modelKey)?.pricing;
+  if (!pricing) return null;
+
+  return roundCost(
+    (inputTokens * pricing.input + outputTokens * pricing.output) / TOKENS_PER_MILLION
+  );
+}
+
+export function addUsage(total, { inputTokens = 0, outputTokens = 0 }, cost) {
+  total.inputTokens += inputTokens;
+  total.outputTokens += outputTokens;
+  total.cost = roundCost(total.cost + (cost || 0));
+  return total;
+}
+
+// Pre-run estimate for rows x models x iterations, rendering the real prompt for
+// each row. Each model is counted with its own system prompt from modelParams.
+export function estimateJobCost({ rows, models, iterations, prompt, modelParams, columnMapping }) {
+  const { template, systemPrompt, brandCount } = prompt;
+  const structured = prompt.outputFormat === 'json';
+  const promptColumns = columnMapping?.promptColumns;
+
+  let promptTokensPerIteration = 0;
+  for (const row of rows) {
+    const text = template
+      ? renderJobPrompt(prompt, row, promptColumns)
+      : formatProductInfo(row, promptColumns);
+    promptTokensPerIteration += estimateTokens(text);
+  }
+  const tokensPerBrand = structured ? OUTPUT_TOKENS_PER_STRUCTURED_BRAND : OUTPUT_TOKENS_PER_BRAND;
+  const outputTokensPerIteration = rows.length * (OUTPUT_TOKENS_OVERHEAD + tokensPerBrand * brandCount);
+
+  const byModel = models.map(modelKey => {
+    const systemTokens = estimateTokens(modelParams?.[modelKey]?.systemPrompt ?? systemPrompt);
+    const inputTokens = (promptTokensPerIteration + systemTokens * rows.length) * iterations;
+    const outputTokens = outputTokensPerIteration * iterations;
+    return {
+      model: modelKey,
+      calls: rows.length * iterations,
+      inputTokens,
+      outputTokens,
+      cost: callCost(modelKey, { inputTokens, outputTokens })
+    };
+  });
+
+  return {
+    totalCalls: rows.length * models.length * iterations,
+    inputTokens: byModel.reduce((sum, entry) => sum + entry.inputTokens, 0),
+    outputTokens: byModel.reduce((sum, entry) => sum + entry.outputTokens, 0),
+    cost: roundCost(byModel.reduce((sum, entry) => sum + (entry.cost || 0), 0)),
+    unpricedModels: byModel.filter(entry => entry.cost === null).map(entry => entry.model),
+    byModel
+  };
+}
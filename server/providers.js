@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI, { AzureOpenAI } from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { defaultModelParams, mergeModelParams, paramLimits } from '../shared/modelParams.js';
+import { RECOMMENDATION_SCHEMA, SCHEMA_NAME } from '../shared/structuredOutput.js';
+
+// Provider registry, loaded from config/models.json (or MODELS_CONFIG).
+// Adding a model, or any OpenAI-compatible server such as Ollama, vLLM or a
+// local mock, is a config change - see the README for the file format.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'models.json');
+
+// "demo" providers are answered locally by server/demoProvider.js
+const PROVIDER_TYPES = ['openai', 'openai-compatible', 'azure-openai', 'anthropic', 'demo'];
+
+// "${OLLAMA_HOST}/v1" style references to environment variables
+function expandEnv(value) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\$\{(\w+)\}/g, (_match, name) => process.env[name] || '');
+}
+
+function loadConfig(configPath) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load model config ${configPath}: ${error.message}`);
+  }
+
+  const providers = new Map();
+  for (const [id, provider] of Object.entries(config.providers || {})) {
+    if (!PROVIDER_TYPES.includes(provider.type)) {
+      throw new Error(`Provider "${id}" has unknown type "${provider.type}" - expected one of ${PROVIDER_TYPES.join(', ')}`);
+    }
+    providers.set(id, { ...provider, id, name: provider.name || id });
+  }
+
+  const models = new Map();
+  for (const model of config.models || []) {
+    if (!model.id || !model.model) {
+      throw new Error(`Every model needs an "id" and a "model": ${JSON.stringify(model)}`);
+    }
+    if (!providers.has(model.provider)) {
+      throw new Error(`Model "${model.id}" uses unknown provider "${model.provider}"`);
+    }
+    if (models.has(model.id)) {
+      throw new Error(`Duplicate model id "${model.id}"`);
+    }
+    models.set(model.id, { ...model, name: model.name || model.id });
+  }
+
+  return { providers, models };
+}
+
+const registry = loadConfig(process.env.MODELS_CONFIG || DEFAULT_CONFIG_PATH);
+const clients = new Map();
+
+export function getModel(modelId) {
+  return registry.models.get(modelId) || null;
+}
+
+export function getProvider(providerId) {
+  return registry.providers.get(providerId) || null;
+}
+
+export function listModels() {
+  return Array.from(registry.models.values());
+}
+
+export function listProviders() {
+  return Array.from(registry.providers.values());
+}
+
+export function getApiKey(provider) {
+  return provider.apiKeyEnv ? process.env[provider.apiKeyEnv] || null : null;
+}
+
+// Providers a user can bring their own key for - everything but the demo provider
+export function acceptsSessionKey(provider) {
+  return provider.type !== 'demo';
+}
+
+// Local servers usually don't need a key - mark them "apiKeyRequired": false
+export function hasApiKey(provider) {
+  return provider.apiKeyRequired === false || !!getApiKey(provider);
+}
+
+// Request limits from the config, for the scheduler
+export function providerLimits(providerId) {
+  const provider = getProvider(providerId);
+  if (!provider) return {};
+  return { concurrency: provider.concurrency, requestsPerMinute: provider.requestsPerMinute };
+}
+
+// Generation parameters each model takes. Reasoning models ("reasoning": true,
+// such as o3-mini) reject sampling parameters, Anthropic has no seed, and
+// OpenAI-compatible servers that don't take one are marked "supportsSeed": false.
+// The demo provider only uses temperature and seed.
+export function supportedParams(model) {
+  const provider = getProvider(model.provider);
+  if (provider.type === 'demo') return ['temperature', 'seed', 'systemPrompt'];
+  if (model.reasoning) return ['maxTokens', 'seed', 'reasoningEffort', 'systemPrompt'];
+  if (provider.type === 'anthropic') return ['temperature', 'topP', 'maxTokens', 'systemPrompt'];
+  if (provider.supportsSeed === false) return ['temperature', 'topP', 'maxTokens', 'systemPrompt'];
+  return ['temperature', 'topP', 'maxTokens', 'seed', 'systemPrompt'];
+}
+
+// Parameter limits for a model. Anthropic takes temperatures up to 1 only;
+// "maxTemperature" on a model or provider sets the limit for others.
+export function modelParamLimits(model) {
+  const provider = getProvider(model.provider);
+  const maxTemperature = model.maxTemperature ?? provider.maxTemperature ?? (provider.type === 'anthropic' ? 1 : undefined);
+  return paramLimits({ maxTemperature });
+}
+
+// What a job calls the model with: the user's settings over the defaults,
+// limited to what the model takes. A blank system prompt uses the job's.
+export function resolveModelParams(model, settings, systemPrompt) {
+  const params = mergeModelParams(defaultModelParams(model), settings);
+  params.systemPrompt = params.systemPrompt || systemPrompt;
+  return Object.fromEntries(supportedParams(model).map(name => [name, params[name]]));
+}
+
+// How a model is held to the JSON schema in structured output mode: "json_schema"
+// (enforced by the provider), "json_object" (valid JSON, but any shape), "tool"
+// (Anthropic's forced tool call) or "none" (the prompt's instructions only).
+// Set "structuredOutput" on a model or provider for servers that differ from their type.
+const STRUCTURED_OUTPUT_DEFAULTS = {
+  openai: 'json_schema',
+  'azure-openai': 'json_schema',
+  'openai-compatible': 'json_object',
+  anthropic: 'tool'
+};
+
+export function structuredOutputMode(model) {
+  const provider = getProvider(model.provider);
+  return model.structuredOutput || provider.structuredOutput || STRUCTURED_OUTPUT_DEFAULTS[provider.type] || 'none';
+}
+
+// Retries are handled by our own policy in server/retry.js, so the SDKs' are turned off
+function createClient(provider, apiKey) {
+  const defaultHeaders = provider.headers
+    ? Object.fromEntries(Object.entries(provider.headers).map(([name, value]) => [name, expandEnv(value)]))
+    : undefined;
+
+  switch (provider.type) {
+    case 'anthropic':
+      return new Anthropic({ apiKey, baseURL: expandEnv(provider.baseURL), defaultHeaders, maxRetries: 0 });
+
+    case 'azure-openai':
+      return new AzureOpenAI({
+        apiKey,
+        endpoint: expandEnv(provider.endpoint),
+        apiVersion: expandEnv(provider.apiVersion),
+        defaultHeaders,
+        maxRetries: 0
+      });
+
+    default:
+      return new OpenAI({ apiKey, baseURL: expandEnv(provider.baseURL), defaultHeaders, maxRetries: 0 });
+  }
+}
+
+// Clients are created on first use so a missing key only matters when that provider is called.
+// A session key sent with a job gets a client of its own for each request, so it's never
+// shared with other jobs or kept once the request is done.
+function getClient(provider, sessionKey) {
+  if (sessionKey) {
+    return createClient(provider, sessionKey);
+  }
+  if (clients.has(provider.id)) {
+    return clients.get(provider.id);
+  }
+
+  const apiKey = getApiKey(provider) || (provider.apiKeyRequired === false ? 'not-needed' : null);
+  if (!apiKey) {
+    throw new Error(`${provider.name} API key not configured (${provider.apiKeyEnv})`);
+  }
+
+  const client = createClient(provider, apiKey);
+  clients.set(provider.id, client);
+  return client;
+}
+
+// Chat-style message list with an optional system message. Reasoning models
+// take their instructions as a developer message instead.
+function buildMessages(prompt, systemPrompt, systemRole = 'system') {
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: systemRole, content: systemPrompt });
+  }
+  messages.push({ role: 'user', content: prompt });
+  return messages;
+}
+
+// Chat completions parameters from resolved params - unsupported ones were left out by resolveModelParams
+function chatCompletionParams(model, params) {
+  return {
+    // Reasoning models count their hidden reasoning against max_completion_tokens
+    ...(model.reasoning ? { max_completion_tokens: params.maxTokens } : { max_tokens: params.maxTokens }),
+    ...(params.temperature !== undefined ? { temperature: params.temperature } : {}),
+    ...(params.topP !== undefined ? { top_p: params.topP } : {}),
+    ...(params.seed !== undefined && params.seed !== null ? { seed: params.seed } : {}),
+    ...(params.reasoningEffort ? { reasoning_effort: params.reasoningEffort } : {})
+  };
+}
+
+function responseFormat(mode) {
+  if (mode === 'json_schema') {
+    return { response_format: { type: 'json_schema', json_schema: { name: SCHEMA_NAME, strict: true, schema: RECOMMENDATION_SCHEMA } } };
+  }
+  if (mode === 'json_object') {
+    return { response_format: { type: 'json_object' } };
+  }
+  return {};
+}
+
+// A single request to the model's provider; signal aborts it on timeout.
+// params come from resolveModelParams. sessionKey is a user's own key for the
+// provider, used instead of the server's. structured asks for JSON matching
+// RECOMMENDATION_SCHEMA, by the model's structuredOutputMode.
+// Resolves with { text, usage: { inputTokens, outputTokens } }.
+export async function requestModel(model, prompt, { params, sessionKey, structured = false }, signal) {
+  const provider = getProvider(model.provider);
+  const client = getClient(provider, sessionKey);
+  const mode = structured ? structuredOutputMode(model) : 'none';
+
+  if (provider.type === 'anthropic') {
+    // Forcing a call to a tool whose input is the schema gets the answer back as an object
+    const tool = mode === 'tool'
+      ? {
+        tools: [{ name: SCHEMA_NAME, description: 'Record the recommended brands', input_schema: RECOMMENDATION_SCHEMA }],
+        tool_choice: { type: 'tool', name: SCHEMA_NAME }
+      }
+      : {};
+    const response = await client.messages.create({
+      model: model.model,
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      // 1 is the default, and newer models refuse top_p alongside temperature
+      ...(params.topP !== 1 ? { top_p: params.topP } : {}),
+      ...(params.systemPrompt ? { system: params.systemPrompt } : {}),
+      messages: [{ role: 'user', content: prompt }],
+      ...tool,
+    }, { signal });
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    return {
+      text: toolUse ? JSON.stringify(toolUse.input) : response.content[0].text,
+      usage: {
+        inputTokens: response.usage?.input_tokens || 0,
+        outputTokens: response.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  // openai, openai-compatible and azure-openai all speak the chat completions API
+  const response = await client.chat.completions.create({
+    model: model.model,
+    messages: buildMessages(prompt, params.systemPrompt, model.reasoning ? 'developer' : 'system'),
+    ...chatCompletionParams(model, params),
+    ...responseFormat(mode),
+  }, { signal });
+  return {
+    text: response.choices[0].message.content,
+    usage: {
+      inputTokens: response.usage?.prompt_tokens || 0,
+      outputTokens: response.usage?.completion_tokens || 0
+    }
+  };
+}
@@ -0,0 +1,171 @@
+import { DEFAULT_BRAND_COUNT } from '../shared/promptTemplate.js';
+
+// Turns free-form model output into an ordered list of brand names.
+// Models rarely stick to "comma separated, no extra text", so this copes with
+// numbered lists, bullets, markdown, preambles and trailing descriptions.
+
+export { DEFAULT_BRAND_COUNT };
+
+export const PARSE_STATUS = {
+  OK: 'ok',
+  PARTIAL: 'partial',
+  EMPTY: 'empty',
+  // A structured (JSON) response that didn't match the schema, even when asked again
+  INVALID: 'invalid',
+  ERROR: 'error'
+};
+
+// Brand names are short - anything longer is almost certainly prose
+const MAX_BRAND_WORDS = 5;
+
+const LIST_MARKER = /^\s*(?:[-*•·+]|\d{1,2}[.)\]:]|\(\d{1,2}\)|#\d{1,2})\s*/;
+const PREAMBLE = /^(?:here(?:'s| is| are)|sure|certainly|of course|okay|ok|based on|the top|top \d+|these are|i(?:'d| would)? recommend)\b/i;
+const INTERJECTION = /^(?:sure|certainly|of course|okay|ok|absolutely)[!.,]\s*/i;
+const TRAILING_NOTE = /^(?:note|these|this|please|i hope|let me know|all of these|each of these)\b/i;
+// Words that make the text before a colon a lead-in: "Top brands:", "My picks:"
+const LEAD_IN_NOUN = /\b(?:brands?|recommendations?|options|picks|choices|suggestions)\b/i;
+// Where a lead-in without a colon ends: "The top 5 brands for fridges are ..."
+const LEAD_IN_VERB = /^.*?\b(?:are|include|would be|recommend)\s+/i;
+// "1. Apple 2. Samsung" on one line
+const INLINE_NUMBER = /(?:^|\s)\d{1,2}[.)]\s+/g;
+
+function cleanText(text) {
+  return text
+    // Demo mode suffix and any other bracketed notes
+    .replace(/\[[^\]]*\]/g, ' ')
+    // Code fences and markdown emphasis
+    .replace(/```[a-z]*\n?/gi, '')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/^#+\s*/gm, '')
+    .replace(/\r\n?/g, '\n')
+    .trim();
+}
+
+function cleanBrand(item) {
+  let brand = item
+    .replace(LIST_MARKER, '')
+    // "LG - known for reliability" / "LG: great value" / "LG – ..."
+    .split(/\s+[-–—]\s+|:\s+/)[0]
+    // "Samsung (South Korea)"
+    .replace(/\([^)]*\)/g, '')
+    .replace(/^["'“”‘’\s]+|["'“”‘’\s.;,!]+$/g, '')
+    .replace(/^and\s+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!brand) return null;
+  if (brand.split(' ').length > MAX_BRAND_WORDS) return null;
+  if (PREAMBLE.test(brand) || TRAILING_NOTE.test(brand)) return null;
+  return brand;
+}
+
+// A list after the colon or verb that ends a lead-in, or at least two inline numbers
+const looksLikeList = (text) => /[,;]/.test(text) || (text.match(INLINE_NUMBER) || []).length >= 2;
+
+// The answer without a lead-in on the same line: "Here are the top 5 brands:
+// 1. Apple 2. Samsung", "Top brands: Apple, Samsung" and "The top 5 brands for
+// fridges are Samsung, LG, ..." all keep only the brands
+function stripLeadIn(line) {
+  // A list item's colon starts its description: "1. LG: great value"
+  const colon = LIST_MARKER.test(line) ? -1 : line.indexOf(':');
+  if (colon !== -1) {
+    const before = line.slice(0, colon);
+    // Everything up to the colon goes, leaving nothing of a lead-in on its own line
+    if (PREAMBLE.test(before) || LEAD_IN_NOUN.test(before)) return line.slice(colon + 1).trim();
+  }
+  if (PREAMBLE.test(line)) {
+    const verb = line.match(LEAD_IN_VERB);
+    if (verb && looksLikeList(line.slice(verb[0].length))) return line.slice(verb[0].length);
+  }
+  return line;
+}
+
+function splitItems(text) {
+  const lines = text
+    .split('\n')
+    .map(line => stripLeadIn(line.trim().replace(INTERJECTION, '')))
+    .filter(Boolean)
+    // "Here are the top 5 brands for sofas:" and similar lead-ins
+    .filter(line => !(PREAMBLE.test(line) && (line.endsWith(':') || !line.includes(','))))
+    .filter(line => !TRAILING_NOTE.test(line));
+
+  const listLines = lines.filter(line => LIST_MARKER.test(line));
+
+  // One brand per line when the model answered with a list
+  if (listLines.length >= 2) {
+    return listLines;
+  }
+
+  // Otherwise treat the remaining text as a comma/semicolon separated answer,
+  // or an inline numbered list
+  const items = lines
+    .join(',')
+    .split(/[,;\n]|\s+\d{1,2}[.)]\s+/);
+
+  // "A, B and C" - only split the final item so names like "Johnson and Johnson" survive alone
+  const last = items[items.length - 1];
+  const finalPair = items.length >= 2 && last.match(/^(.+?)\s+and\s+(.+)$/i);
+  if (finalPair) {
+    items.splice(items.length - 1, 1, finalPair[1], finalPair[2]);
+  }
+
+  return items;
+}
+
+// Returns { brands, status } where brands holds at most maxBrands unique names
+export function parseBrands(text, maxBrands = DEFAULT_BRAND_COUNT) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { brands: [], status: PARSE_STATUS.EMPTY };
+  }
+
+  const seen = new Set();
+  const brands = [];
+
+  for (const item of splitItems(cleanText(text))) {
+    const brand = cleanBrand(item);
+    if (!brand || seen.has(brand.toLowerCase())) continue;
+
+    seen.add(brand.toLowerCase());
+    brands.push(brand);
+    if (brands.length === maxBrands) break;
+  }
+
+  let status = PARSE_STATUS.OK;
+  if (brands.length === 0) status = PARSE_STATUS.EMPTY;
+  else if (brands.length < maxBrands) status = PARSE_STATUS.PARTIAL;
+
+  return { brands, status };
+}
+
+// Spreadsheet columns for a parsed response: "Brand 1".."Brand N" and "Parse Status"
+export function brandColumns(brands, status, brandCount = DEFAULT_BRAND_COUNT) {
+  const columns = {};
+  for (let i = 0; i < brandCount; i++) {
+    columns[`Brand ${i + 1}`] = brands[i] || '';
+  }
+  columns['Parse Status'] = status;
+  return columns;
+}
+
+// "Raw Brand 1".."Raw Brand N": each brand as the model wrote it, before
+// normalizeBrands gave it its canonical name in the brand columns
+export function rawBrandColumns(rawBrands, brandCount = DEFAULT_BRAND_COUNT) {
+  const columns = {};
+  for (let i = 0; i < brandCount; i++) {
+    columns[`Raw Brand ${i + 1}`] = rawBrands[i] || '';
+  }
+  return columns;
+}
+
+// Structured output columns: "Rationale 1".."Rationale N" and "Confidence 1".."Confidence N",
+// lined up with the brand columns
+export function rationaleColumns(items, brandCount = DEFAULT_BRAND_COUNT) {
+  const columns = {};
+  for (let i = 0; i < brandCount; i++) {
+    columns[`Rationale ${i + 1}`] = items[i]?.rationale || '';
+  }
+  for (let i = 0; i < brandCount; i++) {
+    columns[`Confidence ${i + 1}`] = items[i]?.confidence ?? '';
+  }
+  return columns;
+}
@@ -0,0 +1,157 @@
+// Retry policy for provider calls. Errors are sorted into categories: rate
+// limits, server errors, timeouts and network failures are worth retrying,
+// while auth, invalid request and content policy errors will fail the same
+// way every time and are given up on immediately.
+
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+
+export const ERROR_CATEGORY = {
+  RATE_LIMIT: 'rate_limit',
+  SERVER: 'server_error',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  AUTH: 'auth',
+  QUOTA: 'quota_exceeded',
+  INVALID_REQUEST: 'invalid_request',
+  CONTENT_POLICY: 'content_policy',
+  // Replay mode had no recorded response - see server/fixtures.js
+  REPLAY_MISS: 'replay_miss',
+  UNKNOWN: 'unknown'
+};
+
+const RETRYABLE = new Set([
+  ERROR_CATEGORY.RATE_LIMIT,
+  ERROR_CATEGORY.SERVER,
+  ERROR_CATEGORY.TIMEOUT,
+  ERROR_CATEGORY.NETWORK
+]);
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH']);
+const TIMEOUT_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT']);
+
+// The SDKs' own connection errors are named plain "Error", so they are told
+// apart by class. A connection timeout is a connection error too.
+const isInstance = (error, classes) => classes.some(errorClass => error instanceof errorClass);
+const SDK_TIMEOUT_ERRORS = [OpenAI.APIConnectionTimeoutError, Anthropic.APIConnectionTimeoutError];
+const SDK_CONNECTION_ERRORS = [OpenAI.APIConnectionError, Anthropic.APIConnectionError];
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.AI_MAX_ATTEMPTS) || 4;
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.AI_REQUEST_TIMEOUT_MS) || 60 * 1000;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+const MAX_RETRY_AFTER_MS = 2 * 60 * 1000;
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Request timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// SDK errors carry a Headers instance, axios errors a plain object
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+function parseRetryAfter(headers) {
+  const retryAfterMs = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (Number.isFinite(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (!retryAfter) return null;
+
+  const seconds = parseFloat(retryAfter);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+
+  const date = Date.parse(retryAfter);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function classifyError(error) {
+  const status = error.status ?? error.response?.status;
+  const headers = error.headers ?? error.response?.headers;
+  const details = JSON.stringify(error.error ?? error.response?.data ?? '');
+  const text = `${error.message || ''} ${details}`.toLowerCase();
+
+  let category = ERROR_CATEGORY.UNKNOWN;
+
+  if (error.name === 'TimeoutError' || isInstance(error, SDK_TIMEOUT_ERRORS) || TIMEOUT_CODES.has(error.code)) {
+    category = ERROR_CATEGORY.TIMEOUT;
+  } else if (status === 429 && text.includes('insufficient_quota')) {
+    category = ERROR_CATEGORY.QUOTA;
+  } else if (status === 429) {
+    category = ERROR_CATEGORY.RATE_LIMIT;
+  } else if (status >= 500) {
+    category = ERROR_CATEGORY.SERVER;
+  } else if (status === 401 || status === 403) {
+    category = ERROR_CATEGORY.AUTH;
+  } else if (/content[_ ](policy|filter|management)|safety system/.test(text)) {
+    category = ERROR_CATEGORY.CONTENT_POLICY;
+  } else if (status >= 400) {
+    category = ERROR_CATEGORY.INVALID_REQUEST;
+  } else if (isInstance(error, SDK_CONNECTION_ERRORS) || NETWORK_CODES.has(error.code) || NETWORK_CODES.has(error.cause?.code)) {
+    category = ERROR_CATEGORY.NETWORK;
+  }
+
+  return {
+    category,
+    retryable: RETRYABLE.has(category),
+    retryAfterMs: parseRetryAfter(headers)
+  };
+}
+
+// Exponential backoff with jitter: a random delay in the upper half of the window
+function backoffDelay(attempt) {
+  const window = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(window / 2 + Math.random() * (window / 2));
+}
+
+// Calls fn(signal), aborting and rejecting with a TimeoutError after ms
+export async function withTimeout(fn, ms = DEFAULT_TIMEOUT_MS) {
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(ms));
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Calls fn(attempt) until it succeeds, gives up on a fatal error, or runs out
+// of attempts. Resolves with { value, attempts }; a final error is thrown with
+// its category and attempt count attached.
+export async function withRetry(fn, { maxAttempts = DEFAULT_MAX_ATTEMPTS, label = 'request' } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return { value: await fn(attempt), attempts: attempt };
+    } catch (error) {
+      const { category, retryable, retryAfterMs } = classifyError(error);
+      error.category = category;
+      error.attempts = attempt;
+
+      if (!retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const delay = retryAfterMs !== null
+        ? Math.min(retryAfterMs, MAX_RETRY_AFTER_MS)
+        : backoffDelay(attempt);
+
+      console.log(`Retrying ${label} after ${category} error (attempt ${attempt}/${maxAttempts}, waiting ${delay}ms)`);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,91 @@
+import { brandKey } from '../shared/brandNames.js';
+import { modelRankings } from './consensus.js';
+
+// Compares two runs over the same products to show how the models'
+// recommendations drifted: per product and model, the brands that entered
+// the top list (gained), dropped out of it (lost) and moved within it.
+//
+// Each side is { models, results, brandCount, passThroughColumns }. Products
+// are matched on their prompt text plus the pass-through columns both runs
+// share, so the same file mapped the same way lines up row for row.
+
+function compareLists(before, after) {
+  const beforeRanks = new Map(before.map((brand, index) => [brandKey(brand), index + 1]));
+  const afterRanks = new Map(after.map((brand, index) => [brandKey(brand), index + 1]));
+
+  const gained = after.filter(brand => !beforeRanks.has(brandKey(brand)));
+  const lost = before.filter(brand => !afterRanks.has(brandKey(brand)));
+  const rankChanges = [];
+  for (const brand of after) {
+    const from = beforeRanks.get(brandKey(brand));
+    const to = afterRanks.get(brandKey(brand));
+    // Positive change means the brand moved up the list
+    if (from && from !== to) rankChanges.push({ brand, before: from, after: to, change: from - to });
+  }
+
+  return { gained, lost, rankChanges };
+}
+
+function rankingsByKey(side, passThroughColumns) {
+  return new Map(modelRankings(side.results, side.brandCount, { passThroughColumns }).map(product => [product.key, product]));
+}
+
+export function diffRuns(base, compare) {
+  const models = base.models.filter(modelKey => compare.models.includes(modelKey));
+  const passThroughColumns = base.passThroughColumns.filter(column => compare.passThroughColumns.includes(column));
+
+  const baseProducts = rankingsByKey(base, passThroughColumns);
+  const compareProducts = rankingsByKey(compare, passThroughColumns);
+
+  const summary = Object.fromEntries(models.map(modelKey => [modelKey, {
+    model: modelKey,
+    products: 0,
+    changedProducts: 0,
+    gained: 0,
+    lost: 0,
+    rankChanges: 0
+  }]));
+
+  const products = [];
+  for (const [key, before] of baseProducts) {
+    const after = compareProducts.get(key);
+    if (!after) continue;
+
+    const modelDiffs = [];
+    for (const modelKey of models) {
+      const beforeBrands = before.models[modelKey];
+      const afterBrands = after.models[modelKey];
+      // A model with only failed calls for the product in either run has nothing to compare
+      if (!beforeBrands || !afterBrands) {
+        modelDiffs.push({ model: modelKey, before: beforeBrands || [], after: afterBrands || [], missing: true, gained: [], lost: [], rankChanges: [] });
+        continue;
+      }
+
+      const changes = compareLists(beforeBrands, afterBrands);
+      const changed = changes.gained.length > 0 || changes.lost.length > 0 || changes.rankChanges.length > 0;
+      modelDiffs.push({ model: modelKey, before: beforeBrands, after: afterBrands, missing: false, changed, ...changes });
+
+      const totals = summary[modelKey];
+      totals.products++;
+      if (changed) totals.changedProducts++;
+      totals.gained += changes.gained.length;
+      totals.lost += changes.lost.length;
+      totals.rankChanges += changes.rankChanges.length;
+    }
+
+    products.push({ product: before.product, passThrough: before.passThrough, models: modelDiffs });
+  }
+
+  const productLabel = ({ product, passThrough }) => ({ product, passThrough });
+
+  return {
+    models,
+    modelsOnlyInBase: base.models.filter(modelKey => !compare.models.includes(modelKey)),
+    modelsOnlyInCompare: compare.models.filter(modelKey => !base.models.includes(modelKey)),
+    passThroughColumns,
+    summary: Object.values(summary),
+    products,
+    productsOnlyInBase: Array.from(baseProducts.values()).filter(product => !compareProducts.has(product.key)).map(productLabel),
+    productsOnlyInCompare: Array.from(compareProducts.values()).filter(product => !baseProducts.has(product.key)).map(productLabel)
+  };
+}
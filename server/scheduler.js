@@ -0,0 +1,100 @@
+import { providerLimits } from './providers.js';
+
+// Per-provider request scheduler. Each provider gets its own queue with a
+// concurrency cap and a requests-per-minute limit, so slow or rate-limited
+// providers don't hold back the others. Limits are shared by every job
+// running on this server, since that's how the providers count them.
+
+const FALLBACK_LIMITS = { concurrency: 2, requestsPerMinute: 30 };
+const WINDOW_MS = 60 * 1000;
+
+// What schedule() resolves with when a task's canStart() said no
+export const SKIPPED = Symbol('skipped');
+
+// Defaults come from the provider config; OPENAI_CONCURRENCY, OPENAI_RPM,
+// ANTHROPIC_CONCURRENCY, ... override them
+export function limitsFor(provider) {
+  const configured = providerLimits(provider);
+  const defaults = {
+    concurrency: configured.concurrency || FALLBACK_LIMITS.concurrency,
+    requestsPerMinute: configured.requestsPerMinute || FALLBACK_LIMITS.requestsPerMinute
+  };
+  const prefix = provider.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const concurrency = parseInt(process.env[`${prefix}_CONCURRENCY`]);
+  const requestsPerMinute = parseInt(process.env[`${prefix}_RPM`]);
+
+  return {
+    concurrency: concurrency > 0 ? concurrency : defaults.concurrency,
+    requestsPerMinute: requestsPerMinute > 0 ? requestsPerMinute : defaults.requestsPerMinute
+  };
+}
+
+function createQueue(provider) {
+  const limits = limitsFor(provider);
+  const pending = [];
+  const recentStarts = [];
+  let active = 0;
+  let timer = null;
+
+  const drain = () => {
+    timer = null;
+
+    while (pending.length > 0 && active < limits.concurrency) {
+      // Hand back tasks that can't start right now (paused or cancelled jobs)
+      // without counting them against the concurrency or rate limits
+      if (pending[0].canStart && !pending[0].canStart()) {
+        pending.shift().resolve(SKIPPED);
+        continue;
+      }
+
+      const now = Date.now();
+      while (recentStarts.length > 0 && now - recentStarts[0] >= WINDOW_MS) {
+        recentStarts.shift();
+      }
+
+      // Out of budget for this minute - wake up when the oldest start expires
+      if (recentStarts.length >= limits.requestsPerMinute) {
+        timer = setTimeout(drain, WINDOW_MS - (now - recentStarts[0]));
+        return;
+      }
+
+      const { task, resolve, reject } = pending.shift();
+      recentStarts.push(now);
+      active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          if (!timer) drain();
+        });
+    }
+  };
+
+  return {
+    limits,
+    push(task, canStart) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, canStart, resolve, reject });
+        if (!timer) drain();
+      });
+    }
+  };
+}
+
+const queues = new Map();
+
+function queueFor(provider) {
+  if (!queues.has(provider)) {
+    queues.set(provider, createQueue(provider));
+  }
+  return queues.get(provider);
+}
+
+// Run task() once the provider has a free slot; resolves with its result.
+// canStart() is checked when the slot comes up - if it returns false the task
+// is dropped from the queue and the promise resolves with SKIPPED instead.
+export function schedule(provider, task, { canStart } = {}) {
+  return queueFor(provider).push(task, canStart);
+}
@@ -0,0 +1,252 @@
+// Brand name normalization, shared by the server (canonical names for every
+// response) and the browser (the alias dictionary editor and suggestions).
+//
+// Models name the same brand many ways - "LG", "lg", "LG Electronics",
+// "Samsung®", "Sony Corporation". Each parsed brand is cleaned of trademark
+// symbols and legal suffixes, then looked up in the alias dictionary, so
+// counts over the output see one name per brand. The dictionary maps each
+// canonical name to its aliases: { "LG": ["LG Electronics"] }. Matching
+// ignores case, accents and punctuation.
+
+export const MAX_DICTIONARY_BRANDS = 2000;
+export const MAX_ALIASES_PER_BRAND = 50;
+
+const TRADEMARK_SYMBOLS = /[®™©℠]|\((?:r|tm|c)\)/gi;
+
+// Company forms dropped from the end of a name, as words after punctuation is
+// ignored: "Sony Corporation", "Bosch GmbH", "Levi Strauss & Co."
+const LEGAL_SUFFIXES = [
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'ltd', 'limited', 'llc', 'llp', 'plc',
+  'gmbh', 'ag', 'kg', 'sa', 's a', 'sas', 'sarl', 'se', 'nv', 'bv', 'oy', 'oyj', 'ab', 'a s', 'asa',
+  'spa', 's p a', 'srl', 'kk', 'pty', 'pte'
+];
+const LEGAL_SUFFIX_WORDS = new Set(LEGAL_SUFFIXES);
+const LEGAL_SUFFIX = new RegExp(`(?:^|\\s)(?:&\\s+)?(?:${LEGAL_SUFFIXES.join('|')})$`);
+
+// Form-only differences: case, accents, punctuation and spacing
+function plainKey(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' & ')
+    .replace(/[^\p{L}\p{N}&]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// What two names must share to be the same brand. Suffixes are dropped one at
+// a time ("Co., Ltd."), but never the whole name.
+export function brandKey(name) {
+  let key = plainKey(name.replace(TRADEMARK_SYMBOLS, ' '));
+  for (let stripped = key.replace(LEGAL_SUFFIX, '').trim(); stripped && stripped !== key; stripped = key.replace(LEGAL_SUFFIX, '').trim()) {
+    key = stripped;
+  }
+  return key;
+}
+
+// The name as written, without trademark symbols or legal suffixes:
+// "Sony Corporation" -> "Sony", "Samsung®" -> "Samsung"
+export function cleanBrandName(name) {
+  const words = name.replace(TRADEMARK_SYMBOLS, ' ').trim().split(/\s+/);
+  while (words.length > 1 && LEGAL_SUFFIX_WORDS.has(plainKey(words[words.length - 1]))) {
+    words.pop();
+  }
+  // "Levi Strauss &" and "Sony," are left behind by the suffix
+  return words.join(' ').replace(/[\s,&]+$/, '') || name.trim();
+}
+
+// Returns a list of problems; an empty list means the dictionary can be used
+export function validateDictionary(dictionary) {
+  if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+    return ['The alias dictionary must map each brand to a list of aliases'];
+  }
+  const brands = Object.keys(dictionary);
+  if (brands.length > MAX_DICTIONARY_BRANDS) {
+    return [`The alias dictionary can have at most ${MAX_DICTIONARY_BRANDS} brands`];
+  }
+
+  const errors = [];
+  const owners = new Map();
+  for (const brand of brands) {
+    const aliases = dictionary[brand];
+    if (!brand.trim() || !brandKey(brand)) {
+      errors.push('Every brand in the alias dictionary needs a name');
+      continue;
+    }
+    if (!Array.isArray(aliases) || !aliases.every(alias => typeof alias === 'string')) {
+      errors.push(`${brand}: aliases must be a list of names`);
+      continue;
+    }
+    if (aliases.length > MAX_ALIASES_PER_BRAND) {
+      errors.push(`${brand}: at most ${MAX_ALIASES_PER_BRAND} aliases`);
+    }
+    // A name that resolves to two brands would make the lookup depend on order
+    for (const name of [brand, ...aliases]) {
+      const key = brandKey(name);
+      if (!key) continue;
+      const owner = owners.get(key);
+      if (owner !== undefined && owner !== brand) {
+        errors.push(`"${name.trim()}" is listed for both ${owner} and ${brand}`);
+      }
+      owners.set(key, brand);
+    }
+  }
+  return errors;
+}
+
+// Trimmed names, with blank aliases and aliases that are the brand itself
+// dropped, sorted by brand. Expects a valid dictionary.
+export function normalizeDictionary(dictionary) {
+  return Object.fromEntries(Object.entries(dictionary)
+    .map(([brand, aliases]) => {
+      const canonical = brand.trim();
+      const kept = [];
+      for (const alias of aliases) {
+        const name = alias.trim();
+        if (name && brandKey(name) !== brandKey(canonical) && !kept.some(existing => brandKey(existing) === brandKey(name))) {
+          kept.push(name);
+        }
+      }
+      return [canonical, kept];
+    })
+    .sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// The dictionary with more aliases for a brand, added as a new brand if it isn't there
+export function addAliases(dictionary, brand, aliases) {
+  const existing = Object.keys(dictionary).find(name => brandKey(name) === brandKey(brand));
+  const canonical = existing || brand;
+  return normalizeDictionary({ ...dictionary, [canonical]: [...(dictionary[canonical] || []), ...aliases] });
+}
+
+// Dictionary text for the editor: one brand per line, "LG: LG Electronics, LG Corp"
+export function formatDictionary(dictionary) {
+  return Object.entries(dictionary)
+    .map(([brand, aliases]) => (aliases.length > 0 ? `${brand}: ${aliases.join(', ')}` : brand))
+    .join('\n');
+}
+
+export function parseDictionary(text) {
+  const dictionary = {};
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    const separator = line.indexOf(':');
+    const brand = (separator === -1 ? line : line.slice(0, separator)).trim();
+    const aliases = separator === -1 ? [] : line.slice(separator + 1).split(',').map(alias => alias.trim()).filter(Boolean);
+    dictionary[brand] = [...(dictionary[brand] || []), ...aliases];
+  }
+  return dictionary;
+}
+
+// Returns normalize(name) -> canonical name: the dictionary's brand when the
+// cleaned name is the brand or one of its aliases. Any other name takes the
+// first spelling the normalizer was given for it, so "lg" and "LG" come out
+// the same throughout a run; known are names to take first, in order.
+export function brandNormalizer(dictionary = {}, known = []) {
+  const canonical = new Map();
+  for (const [brand, aliases] of Object.entries(dictionary)) {
+    for (const name of [brand, ...aliases]) {
+      canonical.set(brandKey(name), brand);
+    }
+  }
+  const normalize = (name) => {
+    const key = brandKey(name);
+    if (!canonical.has(key)) canonical.set(key, cleanBrandName(name));
+    return canonical.get(key);
+  };
+  known.forEach(normalize);
+  return normalize;
+}
+
+// Canonical names for one response's ranked brands. Two brands that turn out
+// to be the same keep the first position only. Returns [{ brand, raw, index }]
+// where index is the position in the input.
+export function normalizeBrands(brands, normalize) {
+  const seen = new Set();
+  const normalized = [];
+  brands.forEach((raw, index) => {
+    const brand = normalize(raw);
+    const key = brandKey(brand);
+    if (seen.has(key)) return;
+    seen.add(key);
+    normalized.push({ brand, raw, index });
+  });
+  return normalized;
+}
+
+// Edit distance, stopping early once it is over max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_value, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Why two names look like the same brand, or null. Short names only match
+// exactly, since "Bose" and "Rose" are one letter apart.
+function similarity(a, b) {
+  if (a === b) return 'spelling';
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  if (shorter.length >= 2 && longer.startsWith(`${shorter} `)) return 'prefix';
+  const allowed = shorter.length >= 9 ? 2 : shorter.length >= 5 ? 1 : 0;
+  if (allowed > 0 && editDistance(a, b, allowed) <= allowed) return 'typo';
+  return null;
+}
+
+// Groups of names in the output that look like one brand, for the user to
+// accept into the dictionary: spelling differences ("lg", "LG"), one name
+// extending another ("LG Electronics") and likely typos ("Samsng"). counts
+// maps each canonical name to how often it appeared. The most frequent name
+// of a group is suggested as its canonical name. Names the dictionary already
+// resolves to its brands are left out.
+export function suggestAliases(counts, dictionary = {}) {
+  const known = new Set(Object.keys(dictionary).map(brandKey));
+  const names = Array.from(counts.keys()).filter(name => brandKey(name));
+  const keys = names.map(brandKey);
+
+  // Union-find over the names, joining every similar pair
+  const parent = names.map((_name, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      // Two dictionary brands are different brands by definition
+      if (known.has(keys[i]) && known.has(keys[j]) && keys[i] !== keys[j]) continue;
+      if (similarity(keys[i], keys[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  names.forEach((name, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ name, key: keys[i], count: counts.get(name) });
+  });
+
+  const suggestions = [];
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+    // A dictionary brand in the group stays the canonical name
+    members.sort((a, b) => Number(known.has(b.key)) - Number(known.has(a.key)) ||
+      b.count - a.count || a.name.length - b.name.length || a.name.localeCompare(b.name));
+    const [canonical, ...aliases] = members;
+    suggestions.push({
+      brand: canonical.name,
+      count: members.reduce((total, member) => total + member.count, 0),
+      // Names only joined through another alias are 'similar'
+      aliases: aliases.map(({ name, key, count }) => ({ name, count, reason: similarity(canonical.key, key) || 'similar' }))
+    });
+  }
+  return suggestions.sort((a, b) => b.count - a.count || a.brand.localeCompare(b.brand));
+}
@@ -0,0 +1,98 @@
+// Per-model generation parameters, shared by the server (validation for a
+// job) and the browser (the parameters editor).
+//
+// The defaults are the providers' own defaults made explicit, so a job that
+// changes nothing is called the way it always was - but every row records
+// what was used.
+
+import { MAX_TEMPLATE_LENGTH } from './promptTemplate.js';
+
+export const PARAM_LIMITS = {
+  temperature: { min: 0, max: 2 },
+  topP: { min: 0, max: 1 },
+  maxTokens: { min: 1, max: 32000 }
+};
+
+// The limits for one model; some providers take a narrower temperature range
+export function paramLimits({ maxTemperature } = {}) {
+  if (maxTemperature === undefined) return PARAM_LIMITS;
+  return { ...PARAM_LIMITS, temperature: { ...PARAM_LIMITS.temperature, max: maxTemperature } };
+}
+
+export const REASONING_EFFORTS = ['low', 'medium', 'high'];
+
+export const PARAM_LABELS = {
+  temperature: 'Temperature',
+  topP: 'Top P',
+  maxTokens: 'Max tokens',
+  seed: 'Seed',
+  reasoningEffort: 'Reasoning effort',
+  systemPrompt: 'System prompt'
+};
+
+// Reasoning models spend part of the token budget thinking before they answer
+export function defaultModelParams({ reasoning = false } = {}) {
+  return {
+    temperature: 1,
+    topP: 1,
+    maxTokens: reasoning ? 4000 : 1000,
+    seed: null,
+    reasoningEffort: 'medium',
+    // Blank uses the job's system prompt
+    systemPrompt: ''
+  };
+}
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Returns a list of problems with one model's settings; an empty list means
+// they can be used. Blank values fall back to the defaults. limits are the
+// model's own, from paramLimits.
+export function validateModelParams(settings, label = 'Model', limits = PARAM_LIMITS) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return [`${label}: parameters must be an object`];
+  }
+
+  const errors = [];
+  const unknown = Object.keys(settings).filter(name => !PARAM_LABELS[name]);
+  if (unknown.length > 0) {
+    errors.push(`${label}: unknown parameters ${unknown.join(', ')}`);
+  }
+
+  for (const [name, { min, max }] of Object.entries(limits)) {
+    const value = settings[name];
+    if (isBlank(value)) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${label}: ${PARAM_LABELS[name].toLowerCase()} must be between ${min} and ${max}`);
+    }
+  }
+  if (!isBlank(settings.maxTokens) && !Number.isInteger(settings.maxTokens)) {
+    errors.push(`${label}: max tokens must be a whole number`);
+  }
+  if (!isBlank(settings.seed) && !Number.isSafeInteger(settings.seed)) {
+    errors.push(`${label}: seed must be a whole number`);
+  }
+  if (!isBlank(settings.reasoningEffort) && !REASONING_EFFORTS.includes(settings.reasoningEffort)) {
+    errors.push(`${label}: reasoning effort must be one of ${REASONING_EFFORTS.join(', ')}`);
+  }
+  if (!isBlank(settings.systemPrompt)) {
+    if (typeof settings.systemPrompt !== 'string') {
+      errors.push(`${label}: system prompt must be text`);
+    } else if (settings.systemPrompt.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`${label}: system prompt is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+  }
+
+  return errors;
+}
+
+// The user's settings over the defaults, ignoring blanks
+export function mergeModelParams(defaults, settings = {}) {
+  const params = { ...defaults };
+  for (const [name, value] of Object.entries(settings)) {
+    if (name in defaults && !isBlank(value)) {
+      params[name] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  return params;
+}
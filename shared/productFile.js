@@ -0,0 +1,172 @@
+// Product file formats shared by the server (parsing an upload) and the
+// browser (previewing columns before uploading).
+//
+// Accepted: delimited text (comma, semicolon or tab), Excel workbooks, JSON
+// arrays of objects and JSON Lines. Text is decoded from UTF-8, UTF-16 or
+// Windows-1252 - what Excel's "Save as CSV" produces on Windows - and a byte
+// order mark is dropped.
+
+export const FILE_FORMAT = {
+  DELIMITED: 'delimited',
+  WORKBOOK: 'workbook',
+  JSON: 'json',
+  JSONL: 'jsonl'
+};
+
+const FORMAT_BY_EXTENSION = {
+  '.csv': FILE_FORMAT.DELIMITED,
+  '.tsv': FILE_FORMAT.DELIMITED,
+  '.tab': FILE_FORMAT.DELIMITED,
+  '.txt': FILE_FORMAT.DELIMITED,
+  '.xlsx': FILE_FORMAT.WORKBOOK,
+  '.xls': FILE_FORMAT.WORKBOOK,
+  '.json': FILE_FORMAT.JSON,
+  '.jsonl': FILE_FORMAT.JSONL,
+  '.ndjson': FILE_FORMAT.JSONL
+};
+
+export const ACCEPTED_EXTENSIONS = Object.keys(FORMAT_BY_EXTENSION);
+
+const DELIMITERS = [',', ';', '\t'];
+
+// null when the file type isn't supported
+export function detectFileFormat(fileName) {
+  const match = /\.[^.]+$/.exec(fileName || '');
+  return match ? FORMAT_BY_EXTENSION[match[0].toLowerCase()] || null : null;
+}
+
+// Without a BOM, UTF-16 text has a zero byte in every other position for ASCII characters
+function guessUtf16(bytes) {
+  const sample = bytes.subarray(0, Math.min(bytes.length, 512));
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const half = sample.length / 2;
+  if (oddZeros > half * 0.4 && evenZeros === 0) return 'utf-16le';
+  if (evenZeros > half * 0.4 && oddZeros === 0) return 'utf-16be';
+  return null;
+}
+
+// Decode raw file bytes to text, returning the encoding that was used.
+// truncated is for partial reads, which may end part way through a character.
+export function decodeText(bytes, { truncated = false } = {}) {
+  let encoding;
+  let offset = 0;
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    encoding = 'utf-8';
+    offset = 3;
+  } else if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    encoding = 'utf-16le';
+    offset = 2;
+  } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    encoding = 'utf-16be';
+    offset = 2;
+  } else {
+    encoding = guessUtf16(bytes);
+  }
+
+  const body = bytes.subarray(offset);
+  const options = { stream: truncated };
+  if (encoding) {
+    return { text: new TextDecoder(encoding).decode(body, options), encoding };
+  }
+
+  // Anything that isn't valid UTF-8 is most likely a Windows export
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(body, options), encoding: 'utf-8' };
+  } catch {
+    return { text: new TextDecoder('windows-1252').decode(body), encoding: 'windows-1252' };
+  }
+}
+
+// Pick the delimiter that appears most often in the header line, outside quotes
+export function detectDelimiter(text) {
+  const counts = Object.fromEntries(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+}
+
+// JSON arrays of objects, or one object per line for JSON Lines.
+// maxRows stops early, for previews of large JSON Lines files.
+export function parseJsonRecords(text, format, maxRows = Infinity) {
+  if (format === FILE_FORMAT.JSONL) {
+    const records = [];
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length && records.length < maxRows; i++) {
+      if (!lines[i].trim()) continue;
+      try {
+        records.push(JSON.parse(lines[i]));
+      } catch {
+        throw new Error(`Line ${i + 1} is not valid JSON`);
+      }
+    }
+    return records;
+  }
+
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The file is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(records)) {
+    throw new Error('A JSON file must contain an array of product objects');
+  }
+  return records.slice(0, maxRows);
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// Turn parsed records into string-valued rows with trimmed column names.
+// Columns are the union of every record's keys, in order of first appearance,
+// and rows with no values at all are dropped. rowNumbers holds the 1-based
+// position in the file of each row kept, and blankRows those of the rows dropped.
+export function normalizeRecords(records) {
+  const columns = [];
+  const objects = records.map((record, index) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      throw new Error(`Row ${index + 1} is not an object with named columns`);
+    }
+    const entries = Object.entries(record).map(([key, value]) => [key.trim(), cellText(value)]);
+    for (const [key] of entries) {
+      if (key && !columns.includes(key)) columns.push(key);
+    }
+    return Object.fromEntries(entries);
+  });
+
+  const rows = [];
+  const rowNumbers = [];
+  const blankRows = [];
+  objects.forEach((object, index) => {
+    const row = Object.fromEntries(columns.map(column => [column, object[column] ?? '']));
+    if (Object.values(row).some(value => value.trim() !== '')) {
+      rows.push(row);
+      rowNumbers.push(index + 1);
+    } else {
+      blankRows.push(index + 1);
+    }
+  });
+
+  return { columns, rows, rowNumbers, blankRows };
+}
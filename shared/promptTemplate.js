@@ -0,0 +1,122 @@
+// Prompt templates shared by the server (validation and rendering for a job)
+// and the browser (live preview in the template editor).
+//
+// Templates use {{Column Name}} placeholders filled from the uploaded file's
+// headers, plus a couple of built-ins that are available for every file.
+
+import { withStructuredInstructions } from './structuredOutput.js';
+
+export const DEFAULT_SYSTEM_PROMPT = 'You are a helpful assistant who provides concise, high-quality recommendations.';
+export const DEFAULT_PROMPT_TEMPLATE = 'What are the top {{brandCount}} brands for {{productInfo}}? Provide only the brand names separated by commas with no additional text.';
+// Structured (JSON) output adds its own format instructions to the prompt
+export const DEFAULT_JSON_PROMPT_TEMPLATE = 'What are the top {{brandCount}} brands for {{productInfo}}?';
+export const DEFAULT_BRAND_COUNT = 5;
+export const MAX_BRAND_COUNT = 20;
+export const MAX_TEMPLATE_LENGTH = 4000;
+
+export const BUILTIN_PLACEHOLDERS = {
+  productInfo: 'The prompt columns of the row, comma separated',
+  brandCount: 'Number of brands requested'
+};
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+export function extractPlaceholders(template) {
+  const names = [];
+  for (const match of (template || '').matchAll(PLACEHOLDER)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+// Exact header match first, then case-insensitive so {{product}} finds "Product"
+function resolveColumn(name, columns) {
+  if (columns.includes(name)) return name;
+  const lower = name.toLowerCase();
+  return columns.find(column => column.trim().toLowerCase() === lower) || null;
+}
+
+// columns limits {{productInfo}} to the mapped prompt columns, in that order
+export function formatProductInfo(row, columns = Object.keys(row)) {
+  return columns.map(column => row[column] ?? '').join(', ');
+}
+
+// Which columns feed {{productInfo}}, and which are copied unchanged into the
+// output so results can be joined back to a catalog (SKUs, internal IDs, ...).
+// By default every column goes into the prompt and none are passed through.
+export function defaultColumnMapping(columns) {
+  return { promptColumns: [...columns], passThroughColumns: [] };
+}
+
+// Returns a list of problems; an empty list means the mapping can be used
+export function validateColumnMapping(mapping, columns) {
+  const errors = [];
+  const { promptColumns, passThroughColumns } = mapping || {};
+
+  if (!Array.isArray(promptColumns) || !Array.isArray(passThroughColumns)) {
+    errors.push('Column mapping needs promptColumns and passThroughColumns lists');
+    return errors;
+  }
+  if (promptColumns.length === 0) {
+    errors.push('Choose at least one column to include in the prompt');
+  }
+
+  const unknown = [...promptColumns, ...passThroughColumns].filter(column => !columns.includes(column));
+  if (unknown.length > 0) {
+    errors.push(`Unknown columns in mapping: ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  return errors;
+}
+
+export function normalizeBrandCount(value) {
+  const count = parseInt(value);
+  if (!Number.isFinite(count) || count < 1) return DEFAULT_BRAND_COUNT;
+  return Math.min(count, MAX_BRAND_COUNT);
+}
+
+// Returns a list of problems; an empty list means the template can be used
+export function validateTemplate(template, columns) {
+  const errors = [];
+
+  if (!template || !template.trim()) {
+    errors.push('Prompt template is empty');
+    return errors;
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Prompt template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+
+  const placeholders = extractPlaceholders(template);
+  if (placeholders.length === 0) {
+    errors.push('Prompt template must reference at least one column, e.g. {{productInfo}} or {{Product}}');
+  }
+
+  for (const name of placeholders) {
+    if (BUILTIN_PLACEHOLDERS[name]) continue;
+    if (!resolveColumn(name, columns)) {
+      errors.push(`Unknown column {{${name}}} - available columns: ${columns.join(', ') || 'none'}`);
+    }
+  }
+
+  return errors;
+}
+
+export function renderPrompt(template, row, { brandCount = DEFAULT_BRAND_COUNT, promptColumns } = {}) {
+  const columns = Object.keys(row);
+
+  return template.replace(PLACEHOLDER, (placeholder, name) => {
+    if (name === 'productInfo') return formatProductInfo(row, promptColumns);
+    if (name === 'brandCount') return String(brandCount);
+
+    const column = resolveColumn(name, columns);
+    return column ? String(row[column] ?? '').trim() : placeholder;
+  });
+}
+
+// The exact prompt sent for a row: the rendered template, followed by the JSON
+// format instructions when the job asks for structured output
+export function renderJobPrompt({ template, brandCount = DEFAULT_BRAND_COUNT, outputFormat }, row, promptColumns) {
+  const prompt = renderPrompt(template, row, { brandCount, promptColumns });
+  return outputFormat === 'json' ? withStructuredInstructions(prompt, brandCount) : prompt;
+}
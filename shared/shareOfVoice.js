@@ -0,0 +1,209 @@
+// Share of voice for a watchlist of brands, shared by the server (the "Share
+// of Voice" export sheet) and the browser (the results view).
+//
+// A watchlist names the brands to track - usually your own and your
+// competitors' - each with the other names models use for it. For every
+// product and model, it reports how often each brand is recommended, its
+// average rank when it is, and the brands recommended alongside it.
+
+export const MAX_WATCHLIST_BRANDS = 50;
+export const MAX_ALIASES = 20;
+
+// Brands listed in "Mentioned With"
+const MAX_CO_MENTIONS = 5;
+
+export const ALL_PRODUCTS = 'All products';
+
+const isText = (value) => typeof value === 'string';
+
+// "L'Oréal Paris" -> "l oreal paris": case, accents and punctuation don't matter
+function matchKey(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Returns a list of problems; an empty list means the watchlist can be used.
+// Each entry is { brand, aliases, own }: aliases and own are optional.
+export function validateWatchlist(watchlist) {
+  if (!Array.isArray(watchlist)) {
+    return ['The watchlist must be a list of brands'];
+  }
+  if (watchlist.length > MAX_WATCHLIST_BRANDS) {
+    return [`The watchlist can have at most ${MAX_WATCHLIST_BRANDS} brands`];
+  }
+
+  const errors = [];
+  const seen = new Map();
+  watchlist.forEach((entry, index) => {
+    const label = `Watchlist brand ${index + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!isText(entry.brand) || !entry.brand.trim()) {
+      errors.push(`${label} needs a name`);
+      return;
+    }
+    const aliases = entry.aliases ?? [];
+    if (!Array.isArray(aliases) || !aliases.every(isText)) {
+      errors.push(`${entry.brand}: aliases must be a list of names`);
+      return;
+    }
+    if (aliases.length > MAX_ALIASES) {
+      errors.push(`${entry.brand}: at most ${MAX_ALIASES} aliases`);
+    }
+    if (entry.own !== undefined && typeof entry.own !== 'boolean') {
+      errors.push(`${entry.brand}: "own" must be true or false`);
+    }
+
+    // A name can only point at one brand, or mentions would be counted twice
+    for (const name of [entry.brand, ...aliases]) {
+      const key = matchKey(name);
+      if (!key) continue;
+      if (seen.has(key) && seen.get(key) !== index) {
+        errors.push(`"${name.trim()}" is listed for more than one brand`);
+      }
+      seen.set(key, index);
+    }
+  });
+  return errors;
+}
+
+// Trimmed names, blank and repeated aliases dropped. Expects a valid watchlist.
+export function normalizeWatchlist(watchlist = []) {
+  return watchlist.map(entry => {
+    const brand = entry.brand.trim();
+    const aliases = [];
+    for (const alias of entry.aliases || []) {
+      const name = alias.trim();
+      if (name && matchKey(name) !== matchKey(brand) && !aliases.some(existing => matchKey(existing) === matchKey(name))) {
+        aliases.push(name);
+      }
+    }
+    return { brand, aliases, own: entry.own === true };
+  });
+}
+
+// A recommended brand matches a name it equals or contains as whole words,
+// so "Philips Hue" counts for Philips
+const mentions = (brandKey, nameKey) => ` ${brandKey} `.includes(` ${nameKey} `);
+
+// The watchlist brand a recommended brand is, or null
+function watchedBrand(brand, watchlist) {
+  const brandKey = matchKey(brand);
+  if (!brandKey) return null;
+  return watchlist.find(entry => entry.keys.some(key => mentions(brandKey, key))) || null;
+}
+
+function emptyTally(watchlist) {
+  return {
+    responses: 0,
+    brands: new Map(watchlist.map(entry => [entry.brand, { mentions: 0, rankTotal: 0, bestRank: null, with: new Map() }]))
+  };
+}
+
+// Adds one response's ranked brands to a tally. A brand mentioned twice in a
+// response counts once, at its best rank.
+function addResponse(tally, brands, watchlist) {
+  tally.responses++;
+
+  // Every recommended brand, as its watchlist name where it has one
+  const named = brands.map(brand => watchedBrand(brand, watchlist)?.brand || brand);
+  const seenWith = new Map();
+  named.forEach((name, position) => {
+    const key = matchKey(name);
+    if (!seenWith.has(key)) seenWith.set(key, { name, position });
+  });
+
+  for (const [key, { name, position }] of seenWith) {
+    const entry = tally.brands.get(name);
+    if (!entry) continue;
+    const rank = position + 1;
+    entry.mentions++;
+    entry.rankTotal += rank;
+    entry.bestRank = entry.bestRank === null ? rank : Math.min(entry.bestRank, rank);
+    for (const [otherKey, other] of seenWith) {
+      if (otherKey === key) continue;
+      const count = entry.with.get(otherKey) || { brand: other.name, count: 0 };
+      count.count++;
+      entry.with.set(otherKey, count);
+    }
+  }
+}
+
+// "Sony (4), Bose (2)" - the brands recommended most often alongside
+function formatCoMentions(withCounts) {
+  return Array.from(withCounts.values())
+    .sort((a, b) => b.count - a.count || a.brand.localeCompare(b.brand))
+    .slice(0, MAX_CO_MENTIONS)
+    .map(({ brand, count }) => `${brand} (${count})`)
+    .join(', ');
+}
+
+function tallyRows(tally, watchlist, fields) {
+  return watchlist.map(({ brand, own }) => {
+    const entry = tally.brands.get(brand);
+    return {
+      ...fields,
+      'Brand': brand,
+      'Role': own ? 'Own' : 'Competitor',
+      'Responses': tally.responses,
+      'Mentions': entry.mentions,
+      'Mention Rate (%)': tally.responses > 0 ? Math.round((entry.mentions / tally.responses) * 1000) / 10 : '',
+      'Average Rank': entry.mentions > 0 ? Math.round((entry.rankTotal / entry.mentions) * 100) / 100 : '',
+      'Best Rank': entry.bestRank ?? '',
+      'Mentioned With': formatCoMentions(entry.with)
+    };
+  });
+}
+
+// Rows for the "Share of Voice" sheet: each watchlist brand per product and
+// model, then per model across all products. Only successful responses are
+// counted; failed calls and invalid answers are left out of the rates.
+export function buildShareOfVoice(results, watchlist, { brandCount, passThroughColumns = [] } = {}) {
+  if (!watchlist || watchlist.length === 0) return [];
+  const entries = watchlist.map(entry => ({
+    ...entry,
+    keys: [entry.brand, ...(entry.aliases || [])].map(matchKey).filter(Boolean)
+  }));
+
+  const products = new Map();
+  const models = new Map();
+  for (const row of results) {
+    if (row['Error']) continue;
+
+    const brands = [];
+    for (let i = 1; i <= brandCount; i++) {
+      if (row[`Brand ${i}`]) brands.push(row[`Brand ${i}`]);
+    }
+
+    const passThrough = Object.fromEntries(passThroughColumns.map(column => [column, row[column] ?? '']));
+    const productKey = JSON.stringify([row['Original Product'], ...Object.values(passThrough)]);
+    if (!products.has(productKey)) {
+      products.set(productKey, { product: row['Original Product'], passThrough, models: new Map() });
+    }
+    const product = products.get(productKey);
+    const modelKey = row['Model'];
+    if (!product.models.has(modelKey)) product.models.set(modelKey, emptyTally(entries));
+    if (!models.has(modelKey)) models.set(modelKey, emptyTally(entries));
+
+    addResponse(product.models.get(modelKey), brands, entries);
+    addResponse(models.get(modelKey), brands, entries);
+  }
+
+  const rows = [];
+  for (const { product, passThrough, models: productModels } of products.values()) {
+    for (const [modelKey, tally] of productModels) {
+      rows.push(...tallyRows(tally, entries, { ...passThrough, 'Product': product, 'Model': modelKey }));
+    }
+  }
+  const blankPassThrough = Object.fromEntries(passThroughColumns.map(column => [column, '']));
+  for (const [modelKey, tally] of models) {
+    rows.push(...tallyRows(tally, entries, { ...blankPassThrough, 'Product': ALL_PRODUCTS, 'Model': modelKey }));
+  }
+  return rows;
+}
@@ -0,0 +1,132 @@
+// Structured output mode, shared by the server (provider requests and
+// validation) and the browser (prompt preview).
+//
+// Instead of a comma separated list, models answer with JSON: a ranked list
+// of brands, each with a one-line rationale and an optional confidence. The
+// JSON schema goes to providers that can enforce it, and every response is
+// validated against it here whatever the provider promised.
+
+export const OUTPUT_FORMATS = ['text', 'json'];
+
+// A rationale is meant to be one line - longer ones are kept but cut here
+const MAX_RATIONALE_LENGTH = 300;
+
+// Strict mode (OpenAI) needs every property listed as required, so a missing
+// confidence is sent as null
+export const RECOMMENDATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    brands: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          brand: { type: 'string', description: 'The brand name only' },
+          rank: { type: 'integer', description: 'Position in the ranking, 1 is the best' },
+          rationale: { type: 'string', description: 'One line on why this brand is recommended' },
+          confidence: { type: ['number', 'null'], description: 'How confident you are in this pick, from 0 to 1' }
+        },
+        required: ['brand', 'rank', 'rationale', 'confidence'],
+        additionalProperties: false
+      }
+    }
+  },
+  required: ['brands'],
+  additionalProperties: false
+};
+
+export const SCHEMA_NAME = 'brand_recommendations';
+
+// Added to the end of every prompt in JSON mode, so it also works with
+// providers that can't enforce a schema
+export function structuredInstructions(brandCount) {
+  return [
+    `Answer with JSON only, in this format: {"brands": [{"brand": "Brand name", "rank": 1, "rationale": "One line on why", "confidence": 0.8}]}.`,
+    `List ${brandCount} brands ranked from 1 (best) to ${brandCount}. Give each a one-line rationale, and a confidence from 0 to 1 or null if you can't say.`
+  ].join(' ');
+}
+
+// The prompt a model is sent in JSON mode
+export function withStructuredInstructions(prompt, brandCount) {
+  return `${prompt}\n\n${structuredInstructions(brandCount)}`;
+}
+
+// Sent in place of the first prompt when its answer didn't validate
+export function correctionPrompt(prompt, errors) {
+  return `${prompt}\n\nYour previous answer could not be used: ${errors.join('; ')}. Answer again with JSON only, exactly in the format above.`;
+}
+
+// Models sometimes wrap JSON in a code fence or a sentence of preamble
+function extractJson(text) {
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  return start === -1 || end < start ? body : body.slice(start, end + 1);
+}
+
+// Returns { items, errors }: items are { brand, rank, rationale, confidence }
+// in rank order, at most maxBrands and without duplicates. Any error means the
+// response doesn't match the schema and items is empty.
+export function parseStructured(text, maxBrands) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { items: [], errors: ['the response was empty'] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(extractJson(text));
+  } catch {
+    return { items: [], errors: ['the response was not valid JSON'] };
+  }
+  if (!data || typeof data !== 'object' || !Array.isArray(data.brands)) {
+    return { items: [], errors: ['the JSON has no "brands" list'] };
+  }
+  if (data.brands.length === 0) {
+    return { items: [], errors: ['the "brands" list is empty'] };
+  }
+
+  const errors = [];
+  data.brands.forEach((item, index) => {
+    const label = `brand ${index + 1}`;
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push(`${label} is not an object`);
+      return;
+    }
+    if (typeof item.brand !== 'string' || !item.brand.trim()) {
+      errors.push(`${label} has no "brand" name`);
+    }
+    if (!Number.isInteger(item.rank) || item.rank < 1) {
+      errors.push(`${label} needs a whole number "rank" of 1 or more`);
+    }
+    if (typeof item.rationale !== 'string' || !item.rationale.trim()) {
+      errors.push(`${label} has no "rationale"`);
+    }
+    if (item.confidence !== undefined && item.confidence !== null &&
+      (typeof item.confidence !== 'number' || item.confidence < 0 || item.confidence > 1)) {
+      errors.push(`${label} has a "confidence" outside 0 to 1`);
+    }
+  });
+  if (errors.length > 0) {
+    return { items: [], errors };
+  }
+
+  const seen = new Set();
+  const items = [...data.brands]
+    .sort((a, b) => a.rank - b.rank)
+    .filter(item => {
+      const key = item.brand.trim().toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, maxBrands)
+    .map(item => ({
+      brand: item.brand.trim(),
+      rank: item.rank,
+      rationale: item.rationale.trim().replace(/\s+/g, ' ').slice(0, MAX_RATIONALE_LENGTH),
+      confidence: item.confidence ?? null
+    }));
+
+  return { items, errors: [] };
+}
@@ -1,61 +1,133 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import { io } from 'socket.io-client'
 import FileUpload from './components/FileUpload'
 import ModelSelector from './components/ModelSelector'
 import ProgressTracker from './components/ProgressTracker'
+import PromptEditor from './components/PromptEditor'
+import CostEstimate from './components/CostEstimate'
+import ColumnMapper from './components/ColumnMapper'
+import HistoryPage from './components/HistoryPage'
+import ApiKeys from './components/ApiKeys'
+import ModelParams from './components/ModelParams'
+import Watchlist from './components/Watchlist'
+import BrandAliases from './components/BrandAliases'
+import RunPreview from './components/RunPreview'
+import ResultsExplorer from './components/ResultsExplorer'
+import { readFilePreview } from './utils/filePreview'
+import { formatCost } from './utils/format'
+import { EXPORT_FORMATS, downloadFile, downloadUrl } from './utils/downloads'
+import {
+  DEFAULT_BRAND_COUNT,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_SYSTEM_PROMPT,
+  defaultColumnMapping,
+  validateColumnMapping,
+  validateTemplate
+} from '../shared/promptTemplate'
+import { validateModelParams } from '../shared/modelParams'
+import { validateWatchlist } from '../shared/shareOfVoice'
 import './App.css'
 
-const AI_MODELS = [
-  { id: 'gpt-4.1', name: 'GPT-4.1', provider: 'OpenAI' },
-  { id: 'gpt-4o', name: 'GPT-4o', provider: 'OpenAI' },
-  { id: 'gpt-o3', name: 'GPT-o3', provider: 'OpenAI' },
-  { id: 'claude-3.7', name: 'Claude 3.7', provider: 'Anthropic' },
-  { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', provider: 'Anthropic' },
-  { id: 'claude-opus-4', name: 'Claude Opus 4', provider: 'Anthropic' },
-  { id: 'deepseek-chat', name: 'DeepSeek Chat', provider: 'DeepSeek' },
-  { id: 'deepseek-coder', name: 'DeepSeek Coder', provider: 'DeepSeek' }
-];
+// The running job is remembered so a refresh or reopened tab picks it back up
+const ACTIVE_JOB_KEY = 'activeJobId';
+const POLL_INTERVAL = 2000;
+// Rows shown in the preview table before a run
+const PREVIEW_ROWS = 10;
+const ESTIMATE_DELAY = 600;
+
+// Session keys with anything typed in, trimmed
+const enteredKeys = (keys) => Object.fromEntries(
+  Object.entries(keys).map(([providerId, key]) => [providerId, key.trim()]).filter(([, key]) => key)
+);
+
+// Watchlist rows with a brand, aliases split from the comma separated text
+const toWatchlist = (entries) => entries
+  .filter(entry => entry.brand.trim())
+  .map(entry => ({
+    brand: entry.brand.trim(),
+    aliases: entry.aliases.split(',').map(alias => alias.trim()).filter(Boolean),
+    own: entry.own
+  }));
 
 function App() {
   const [selectedFile, setSelectedFile] = useState(null);
   const [selectedModels, setSelectedModels] = useState([]);
   const [iterations, setIterations] = useState(1);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [downloadUrl, setDownloadUrl] = useState(null);
+  const [ignoreCache, setIgnoreCache] = useState(false);
+  const [budgetLimit, setBudgetLimit] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const [estimateLoading, setEstimateLoading] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [previewError, setPreviewError] = useState(null);
+  const [finishedJob, setFinishedJob] = useState(null);
+  const [prompt, setPrompt] = useState({
+    template: DEFAULT_PROMPT_TEMPLATE,
+    systemPrompt: DEFAULT_SYSTEM_PROMPT,
+    brandCount: DEFAULT_BRAND_COUNT,
+    outputFormat: 'text'
+  });
+  const [filePreview, setFilePreview] = useState({ columns: [], rows: [] });
+  const [sheetName, setSheetName] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(defaultColumnMapping([]));
+  const [modelParams, setModelParams] = useState({});
+  const [watchlistEntries, setWatchlistEntries] = useState([]);
+  const [jobId, setJobId] = useState(() => localStorage.getItem(ACTIVE_JOB_KEY));
+  const [isProcessing, setIsProcessing] = useState(() => !!localStorage.getItem(ACTIVE_JOB_KEY));
+  const [exportFormat, setExportFormat] = useState('xlsx');
+  const [sheetPerModel, setSheetPerModel] = useState(false);
   const [error, setError] = useState(null);
+  const [view, setView] = useState('run');
   const [apiStatus, setApiStatus] = useState(null);
   const [apiStatusLoading, setApiStatusLoading] = useState(true);
+  const [sessionKeys, setSessionKeys] = useState({});
   const [socket, setSocket] = useState(null);
 
-  // Check API status and initialize socket on component mount
+  // Load the model catalog, again whenever the session keys change since they
+  // make more models available. Keys go in a POST body, never in the URL.
   useEffect(() => {
+    const apiKeys = enteredKeys(sessionKeys);
+    const hasKeys = Object.keys(apiKeys).length > 0;
+    let cancelled = false;
+
     const checkApiStatus = async () => {
       try {
-        setApiStatusLoading(true);
-        const response = await fetch('/api/status');
+        const response = hasKeys
+          ? await fetch('/api/models', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ apiKeys })
+          })
+          : await fetch('/api/models');
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}`);
+        }
         const status = await response.json();
         console.log('API Status:', status); // Debug log
+        if (cancelled) return;
         setApiStatus(status);
+        // Drop models that a removed key made unavailable
+        setSelectedModels(current => current.filter(modelId => status.availableModels.includes(modelId)));
       } catch (err) {
-        console.error('Failed to check API status:', err);
-        // Fallback to demo mode if API status fails
-        setApiStatus({
-          apiKeys: { openai: false, anthropic: false, deepseek: false },
-          availableModels: AI_MODELS.map(model => model.id),
-          totalModels: AI_MODELS.length,
-          demoMode: true
-        });
+        console.error('Failed to load models:', err);
+        if (!cancelled) setError('Failed to load the list of AI models. Please check that the server is running.');
       } finally {
-        setApiStatusLoading(false);
+        if (!cancelled) setApiStatusLoading(false);
       }
     };
 
-    // Initialize socket connection
+    // Wait for typing to finish before re-checking with new keys
+    const timer = setTimeout(checkApiStatus, hasKeys ? ESTIMATE_DELAY : 0);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sessionKeys]);
+
+  // Initialize socket connection on component mount
+  useEffect(() => {
     const socketConnection = io(process.env.NODE_ENV === 'production' ? window.location.origin : 'http://localhost:3001');
     setSocket(socketConnection);
 
-    checkApiStatus();
-
     return () => {
       if (socketConnection) {
         socketConnection.disconnect();
@@ -63,42 +135,264 @@ function App() {
     };
   }, []);
 
+  const loadFilePreview = async (file, sheet) => {
+    try {
+      const preview = await readFilePreview(file, { sheetName: sheet });
+      setFilePreview(preview);
+      setSheetName(preview.sheetName || null);
+      setColumnMapping(defaultColumnMapping(preview.columns));
+    } catch (err) {
+      console.error('Failed to read file preview:', err);
+      setFilePreview({ columns: [], rows: [] });
+      setColumnMapping(defaultColumnMapping([]));
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
   const handleFileSelect = (file) => {
     setSelectedFile(file);
     setError(null);
+    setSheetName(null);
+    loadFilePreview(file, null);
   };
 
+  const handleSheetChange = (sheet) => {
+    setSheetName(sheet);
+    loadFilePreview(selectedFile, sheet);
+  };
+
+  const handlePromptChange = (changes) => {
+    setPrompt(current => ({ ...current, ...changes }));
+  };
+
+  const templateErrors = filePreview.columns.length > 0
+    ? validateTemplate(prompt.template, filePreview.columns)
+    : [];
+  const columnMappingErrors = filePreview.columns.length > 0
+    ? validateColumnMapping(columnMapping, filePreview.columns)
+    : [];
+
   const handleModelSelect = (modelIds) => {
     setSelectedModels(modelIds);
   };
 
+  const models = apiStatus?.models || [];
+  const selectedModelList = models.filter(model => selectedModels.includes(model.id));
+  const modelParamsErrors = selectedModelList.flatMap(model => (
+    modelParams[model.id] ? validateModelParams(modelParams[model.id], model.name, model.limits) : []
+  ));
+  const watchlist = useMemo(() => toWatchlist(watchlistEntries), [watchlistEntries]);
+  const watchlistErrors = validateWatchlist(watchlist);
+  const availableModels = apiStatus?.availableModels || [];
+  const allAvailableSelected = availableModels.length > 0 &&
+    availableModels.every(modelId => selectedModels.includes(modelId));
+
   const handleSelectAllModels = () => {
-    if (selectedModels.length === AI_MODELS.length) {
+    if (allAvailableSelected) {
       setSelectedModels([]);
     } else {
-      setSelectedModels(AI_MODELS.map(model => model.id));
+      setSelectedModels(availableModels);
     }
   };
 
+  // Poll the active job until it finishes, then fetch and download its result
+  useEffect(() => {
+    if (!jobId) return;
+
+    let cancelled = false;
+    let polling = false;
+    let timer = null;
+
+    const finishJob = (errorMessage) => {
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      setJobId(null);
+      setIsProcessing(false);
+      if (errorMessage) {
+        setError(errorMessage);
+      }
+    };
+
+    const poll = async () => {
+      if (polling) return;
+      polling = true;
+
+      try {
+        const response = await fetch(`/api/jobs/${jobId}`);
+        if (cancelled) return;
+
+        if (response.status === 404) {
+          finishJob('This job is no longer available on the server. Please start a new run.');
+          return;
+        }
+
+        const job = await response.json();
+        if (cancelled) return;
+
+        // Cancelled jobs keep the results collected before they stopped
+        if (job.status === 'completed' || job.status === 'cancelled') {
+          setFinishedJob(job);
+          // Auto-download the Excel file
+          downloadFile(downloadUrl(job.id));
+          finishJob();
+        } else if (job.status === 'failed') {
+          finishJob(`Processing failed: ${job.error || 'Unknown error'}`);
+        } else {
+          timer = setTimeout(poll, POLL_INTERVAL);
+        }
+      } catch (err) {
+        console.error('Job polling error:', err);
+        if (cancelled) return;
+        if (err.name === 'SyntaxError') {
+          finishJob('Server returned invalid response. Please check server logs.');
+        } else {
+          // Keep polling through transient network errors
+          timer = setTimeout(poll, POLL_INTERVAL);
+        }
+      } finally {
+        polling = false;
+      }
+    };
+
+    // Check immediately when the job room reports a finished job
+    const handleJobFinished = (payload) => {
+      if (payload.jobId === jobId) {
+        clearTimeout(timer);
+        poll();
+      }
+    };
+
+    if (socket) {
+      socket.on('job-complete', handleJobFinished);
+      socket.on('job-error', handleJobFinished);
+    }
+
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      if (socket) {
+        socket.off('job-complete', handleJobFinished);
+        socket.off('job-error', handleJobFinished);
+      }
+    };
+  }, [jobId, socket]);
+
+  // Form fields shared by /api/upload and /api/preview
+  const buildJobForm = useCallback(() => {
+    const formData = new FormData();
+    formData.append('csvFile', selectedFile);
+    formData.append('selectedModels', JSON.stringify(selectedModels));
+    formData.append('iterations', iterations.toString());
+    formData.append('promptTemplate', prompt.template);
+    formData.append('systemPrompt', prompt.systemPrompt);
+    formData.append('brandCount', prompt.brandCount.toString());
+    formData.append('outputFormat', prompt.outputFormat);
+    formData.append('columnMapping', JSON.stringify(columnMapping));
+    formData.append('modelParams', JSON.stringify(
+      Object.fromEntries(selectedModels.filter(modelId => modelParams[modelId]).map(modelId => [modelId, modelParams[modelId]]))
+    ));
+    formData.append('ignoreCache', ignoreCache.toString());
+    if (sheetName) {
+      formData.append('sheetName', sheetName);
+    }
+    if (budgetLimit) {
+      formData.append('budgetLimit', budgetLimit);
+    }
+    if (watchlist.length > 0) {
+      formData.append('watchlist', JSON.stringify(watchlist));
+    }
+    return formData;
+  }, [selectedFile, selectedModels, iterations, prompt, columnMapping, modelParams, ignoreCache, sheetName, budgetLimit, watchlist]);
+
+  // Providers with a session key, for the preview's time estimate. Joined so
+  // the preview only reloads when a key is added or removed, not on each keystroke.
+  const keyProviders = Object.keys(enteredKeys(sessionKeys)).join(',');
+
+  // Preview the run and re-estimate its cost whenever the file or settings
+  // change. Generate waits for a preview of the current settings.
+  useEffect(() => {
+    setPreview(null);
+    setPreviewError(null);
+    if (!selectedFile || selectedModels.length === 0 || templateErrors.length > 0 || columnMappingErrors.length > 0 || modelParamsErrors.length > 0 || watchlistErrors.length > 0) {
+      setEstimate(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setEstimateLoading(true);
+      try {
+        const formData = buildJobForm();
+        formData.append('previewRows', PREVIEW_ROWS.toString());
+        if (keyProviders) {
+          formData.append('sessionKeyProviders', JSON.stringify(keyProviders.split(',')));
+        }
+        const response = await fetch('/api/preview', { method: 'POST', body: formData });
+        const result = await response.json();
+        if (!cancelled) {
+          setPreview(result.success ? result : null);
+          setPreviewError(result.success ? null : result.error || 'Could not preview the run');
+          setEstimate(result.success ? result.estimate : null);
+        }
+      } catch (err) {
+        console.error('Preview error:', err);
+        if (!cancelled) {
+          setPreviewError('Could not preview the run: ' + err.message);
+          setEstimate(null);
+        }
+      } finally {
+        if (!cancelled) setEstimateLoading(false);
+      }
+    }, ESTIMATE_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [buildJobForm, keyProviders, selectedFile, selectedModels, templateErrors.length, columnMappingErrors.length, modelParamsErrors.length, watchlistErrors.length]);
+
   const handleSubmit = async () => {
     if (!selectedFile) {
-      setError('Please select a CSV file');
+      setError('Please select a product file');
       return;
     }
     if (selectedModels.length === 0) {
       setError('Please select at least one AI model');
       return;
     }
+    if (columnMappingErrors.length > 0) {
+      setError('Please fix the column mapping before generating');
+      return;
+    }
+    if (templateErrors.length > 0) {
+      setError('Please fix the prompt template before generating');
+      return;
+    }
+    if (modelParamsErrors.length > 0) {
+      setError('Please fix the generation parameters before generating');
+      return;
+    }
+    if (watchlistErrors.length > 0) {
+      setError('Please fix the watchlist before generating');
+      return;
+    }
+    if (!preview) {
+      setError('Please wait for the preview before generating');
+      return;
+    }
 
     setIsProcessing(true);
     setError(null);
-    setDownloadUrl(null);
+    setFinishedJob(null);
 
-    const formData = new FormData();
-    formData.append('csvFile', selectedFile);
-    formData.append('selectedModels', JSON.stringify(selectedModels));
-    formData.append('iterations', iterations.toString());
-    if (socket) {
+    // Keys go with the job itself only, not with cost estimates
+    const formData = buildJobForm();
+    const apiKeys = enteredKeys(sessionKeys);
+    if (Object.keys(apiKeys).length > 0) {
+      formData.append('apiKeys', JSON.stringify(apiKeys));
+    }
+    if (socket && socket.id) {
       formData.append('socketId', socket.id);
     }
 
@@ -110,17 +404,8 @@ function App() {
       });
 
       console.log('Response status:', response.status);
-      console.log('Response headers:', Object.fromEntries(response.headers.entries()));
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.log('Error response:', errorText);
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
 
       const contentType = response.headers.get('content-type');
-      console.log('Content-Type:', contentType);
-
       if (!contentType || !contentType.includes('application/json')) {
         const responseText = await response.text();
         console.log('Non-JSON response:', responseText);
@@ -128,22 +413,16 @@ function App() {
       }
 
       const result = await response.json();
-      console.log('Success result:', result);
-
-      if (result.success) {
-        setDownloadUrl(result.downloadUrl);
-        // Auto-download the file
-        if (result.downloadUrl && result.filename) {
-          const link = document.createElement('a');
-          link.href = result.downloadUrl;
-          link.download = result.filename;
-          document.body.appendChild(link);
-          link.click();
-          document.body.removeChild(link);
-        }
-      } else {
-        setError(result.error || 'Processing failed');
+      console.log('Job created:', result);
+
+      if (!response.ok || !result.success) {
+        setError(result.error || `HTTP error! status: ${response.status}`);
+        setIsProcessing(false);
+        return;
       }
+
+      localStorage.setItem(ACTIVE_JOB_KEY, result.jobId);
+      setJobId(result.jobId);
     } catch (err) {
       console.error('Upload error:', err);
       if (err.name === 'SyntaxError') {
@@ -151,7 +430,6 @@ function App() {
       } else {
         setError('Network error: ' + err.message);
       }
-    } finally {
       setIsProcessing(false);
     }
   };
@@ -164,13 +442,50 @@ function App() {
             AI Product Recommendation Generator
           </h1>
 
-          <div className="space-y-8">
+          <div className="flex border-b border-gray-200 mb-8" role="tablist">
+            {[{ id: 'run', name: 'New Run' }, { id: 'history', name: 'History' }].map(tab => (
+              <button
+                key={tab.id}
+                role="tab"
+                aria-selected={view === tab.id}
+                onClick={() => setView(tab.id)}
+                className={`px-4 py-2 -mb-px border-b-2 font-medium transition-colors ${
+                  view === tab.id
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                {tab.name}
+              </button>
+            ))}
+          </div>
+
+          {view === 'history' && <HistoryPage models={models} apiKeys={enteredKeys(sessionKeys)} />}
+
+          {/* Kept mounted while browsing history so a running job keeps its progress */}
+          <div className={view === 'run' ? 'space-y-8' : 'hidden'}>
             {/* File Upload Section */}
             <div>
               <h2 className="text-xl font-semibold text-gray-800 mb-4">
-                1. Upload Product CSV File
+                1. Upload Product File
               </h2>
-              <FileUpload onFileSelect={handleFileSelect} selectedFile={selectedFile} />
+              <FileUpload
+                onFileSelect={handleFileSelect}
+                selectedFile={selectedFile}
+                sheetNames={filePreview.sheetNames}
+                sheetName={sheetName}
+                onSheetChange={handleSheetChange}
+              />
+              {filePreview.columns.length > 0 && (
+                <div className="mt-4">
+                  <h3 className="font-semibold text-gray-800 mb-2">Columns</h3>
+                  <ColumnMapper
+                    columns={filePreview.columns}
+                    mapping={columnMapping}
+                    onChange={setColumnMapping}
+                  />
+                </div>
+              )}
             </div>
 
             {/* Demo Mode Notice */}
@@ -179,7 +494,7 @@ function App() {
                 <h3 className="font-semibold text-yellow-800 mb-2">🎮 Demo Mode Active</h3>
                 <p className="text-yellow-700 mb-2">
                   This is a public demo! The AI responses are simulated examples.
-                  To get real AI recommendations, you would need to configure your own API keys.
+                  To get real AI recommendations, enter your own API keys under "Use your own API keys" below.
                 </p>
                 <p className="text-sm text-yellow-600">
                   All models are available in demo mode with realistic sample responses.
@@ -187,17 +502,31 @@ function App() {
               </div>
             )}
 
+            {/* Record/Replay Notice */}
+            {apiStatus?.fixtureMode && (
+              <div className="bg-blue-50 border border-blue-200 rounded-md p-4">
+                <h3 className="font-semibold text-blue-800 mb-2">
+                  {apiStatus.fixtureMode === 'replay' ? '⏪ Replay Mode Active' : '⏺ Recording Responses'}
+                </h3>
+                <p className="text-blue-700">
+                  {apiStatus.fixtureMode === 'replay'
+                    ? 'Responses come from recorded fixtures and no provider is called. Calls that were never recorded fail with a replay miss.'
+                    : 'Every model response is saved as a fixture, so this run can be replayed later without calling the providers.'}
+                </p>
+              </div>
+            )}
+
             {/* API Status Warning */}
             {apiStatus && !apiStatus.demoMode && apiStatus.availableModels.length === 0 && (
               <div className="bg-red-50 border border-red-200 rounded-md p-4">
                 <h3 className="font-semibold text-red-800 mb-2">⚠️ No API Keys Configured</h3>
                 <p className="text-red-700 mb-2">
-                  No AI model API keys are configured. Please add your API keys to the .env file:
+                  No AI model API keys are configured. Enter your own keys below, or add them to the server's .env file:
                 </p>
                 <ul className="text-sm text-red-600 space-y-1">
-                  <li>• OPENAI_API_KEY (for GPT models)</li>
-                  <li>• ANTHROPIC_API_KEY (for Claude models)</li>
-                  <li>• DEEPSEEK_API_KEY (for DeepSeek models)</li>
+                  {apiStatus.providers.filter(provider => provider.apiKeyEnv).map(provider => (
+                    <li key={provider.id}>• {provider.apiKeyEnv} (for {provider.name} models)</li>
+                  ))}
                 </ul>
               </div>
             )}
@@ -221,9 +550,9 @@ function App() {
                 <button
                   onClick={handleSelectAllModels}
                   className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
-                  disabled={apiStatusLoading || (apiStatus && apiStatus.availableModels && apiStatus.availableModels.length === 0)}
+                  disabled={apiStatusLoading || availableModels.length === 0}
                 >
-                  {selectedModels.length === AI_MODELS.length ? 'Deselect All' : 'Select All Models'}
+                  {allAvailableSelected ? 'Deselect All' : 'Select All Models'}
                 </button>
               </div>
               {apiStatusLoading ? (
@@ -233,18 +562,50 @@ function App() {
                 </div>
               ) : (
                 <ModelSelector
-                  models={AI_MODELS}
+                  models={models}
                   selectedModels={selectedModels}
                   onModelSelect={handleModelSelect}
-                  availableModels={apiStatus?.availableModels || AI_MODELS.map(model => model.id)}
+                  availableModels={availableModels}
+                  sessionKeyProviders={apiStatus?.sessionKeyProviders || []}
                 />
               )}
+              {apiStatus && (
+                <div className="mt-4">
+                  <ApiKeys providers={apiStatus.providers} keys={sessionKeys} onChange={setSessionKeys} />
+                </div>
+              )}
+            </div>
+
+            {/* Prompt Section */}
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-4">
+                3. Prompt
+              </h2>
+              <PromptEditor
+                template={prompt.template}
+                systemPrompt={prompt.systemPrompt}
+                brandCount={prompt.brandCount}
+                outputFormat={prompt.outputFormat}
+                columns={filePreview.columns}
+                promptColumns={columnMapping.promptColumns}
+                sampleRow={filePreview.rows[0]}
+                onChange={handlePromptChange}
+              />
+              <div className="mt-4">
+                <ModelParams models={selectedModelList} params={modelParams} onChange={setModelParams} />
+              </div>
+              <div className="mt-4">
+                <Watchlist entries={watchlistEntries} errors={watchlistErrors} onChange={setWatchlistEntries} />
+              </div>
+              <div className="mt-4">
+                <BrandAliases />
+              </div>
             </div>
 
             {/* Iterations Section */}
             <div>
               <h2 className="text-xl font-semibold text-gray-800 mb-4">
-                3. Number of Iterations
+                4. Number of Iterations
               </h2>
               <div className="flex items-center space-x-4">
                 <label htmlFor="iterations" className="text-gray-700">
@@ -260,6 +621,44 @@ function App() {
                   className="w-20 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               </div>
+              {apiStatus?.cacheEnabled && (
+                <label className="flex items-center space-x-2 mt-3 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={ignoreCache}
+                    onChange={(e) => setIgnoreCache(e.target.checked)}
+                    className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  />
+                  <span>Ignore cached responses (call every model again)</span>
+                </label>
+              )}
+            </div>
+
+            {/* Cost Section */}
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-4">
+                5. Cost
+              </h2>
+              <CostEstimate
+                estimate={estimate}
+                loading={estimateLoading}
+                demoMode={apiStatus?.demoMode}
+                budgetLimit={budgetLimit}
+                onBudgetChange={setBudgetLimit}
+              />
+            </div>
+
+            {/* Preview Section */}
+            <div>
+              <h2 className="text-xl font-semibold text-gray-800 mb-4">
+                6. Preview
+              </h2>
+              <RunPreview
+                preview={preview}
+                loading={estimateLoading}
+                error={previewError}
+                modelName={(modelId) => models.find(model => model.id === modelId)?.name || modelId}
+              />
             </div>
 
             {/* Error Display */}
@@ -271,39 +670,68 @@ function App() {
 
             {/* Processing/Results Section */}
             {isProcessing && (
-              <ProgressTracker
-                onComplete={() => {
-                  // Progress tracker will handle the completion automatically
-                  // The download URL will be set by the API response
-                }}
-              />
+              <ProgressTracker socket={socket} jobId={jobId} estimatedSeconds={preview?.duration.seconds} />
             )}
 
-            {downloadUrl && (
+            {finishedJob && (
               <div className="bg-green-50 border border-green-200 rounded-md p-4">
-                <p className="text-green-800 mb-2">Processing completed successfully!</p>
-                <p className="text-green-700 mb-3">Your Excel file has been automatically downloaded. If it didn't start, click the button below:</p>
-                <button
-                  onClick={() => {
-                    const link = document.createElement('a');
-                    link.href = downloadUrl;
-                    link.download = `recommendations_${Date.now()}.xlsx`;
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
-                  }}
-                  className="inline-block px-6 py-3 bg-green-600 text-white rounded hover:bg-green-700 transition-colors"
-                >
-                  Download Excel Results
-                </button>
+                <p className="text-green-800 mb-2">
+                  {finishedJob.stopReason === 'budget' &&
+                    `Budget reached - stopped after ${finishedJob.completedTasks} of ${finishedJob.totalTasks} calls.`}
+                  {finishedJob.stopReason === 'cancelled' &&
+                    `Cancelled - stopped after ${finishedJob.completedTasks} of ${finishedJob.totalTasks} calls. The file contains the results collected so far.`}
+                  {!finishedJob.stopReason && 'Processing completed successfully!'}
+                </p>
+                <p className="text-sm text-green-700 mb-2">
+                  Total cost: {formatCost(finishedJob.usage.cost)} ({finishedJob.usage.inputTokens.toLocaleString()} input / {finishedJob.usage.outputTokens.toLocaleString()} output tokens)
+                </p>
+                <p className="text-green-700 mb-3">Your Excel file has been automatically downloaded. If it didn't start, or you want another format, download it below:</p>
+                <div className="flex flex-wrap items-center gap-3">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    aria-label="Download format"
+                    className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-green-500"
+                  >
+                    {EXPORT_FORMATS.map(format => (
+                      <option key={format.id} value={format.id}>{format.name}</option>
+                    ))}
+                  </select>
+                  {exportFormat === 'xlsx' && (
+                    <label className="flex items-center space-x-2 text-green-800">
+                      <input
+                        type="checkbox"
+                        checked={sheetPerModel}
+                        onChange={(e) => setSheetPerModel(e.target.checked)}
+                        className="w-4 h-4 text-green-600 border-gray-300 rounded focus:ring-green-500"
+                      />
+                      <span>One sheet per model</span>
+                    </label>
+                  )}
+                  <button
+                    onClick={() => downloadFile(downloadUrl(finishedJob.id, exportFormat, sheetPerModel))}
+                    className="inline-block px-6 py-3 bg-green-600 text-white rounded hover:bg-green-700 transition-colors"
+                  >
+                    Download Results
+                  </button>
+                </div>
               </div>
             )}
 
+            {finishedJob && (
+              <ResultsExplorer
+                jobId={finishedJob.id}
+                modelName={(modelId) => models.find(model => model.id === modelId)?.name || modelId}
+                apiKeys={enteredKeys(sessionKeys)}
+                onJobUpdate={setFinishedJob}
+              />
+            )}
+
             {/* Submit Button */}
             <div className="text-center">
               <button
                 onClick={handleSubmit}
-                disabled={isProcessing || !selectedFile || selectedModels.length === 0}
+                disabled={isProcessing || !selectedFile || selectedModels.length === 0 || templateErrors.length > 0 || columnMappingErrors.length > 0 || modelParamsErrors.length > 0 || watchlistErrors.length > 0 || !preview}
                 className="px-8 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors text-lg font-semibold"
               >
                 {isProcessing ? 'Processing...' : 'Generate Recommendations'}
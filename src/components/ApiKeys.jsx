@@ -0,0 +1,41 @@
+// The user's own provider keys for this browser session. They're kept in
+// memory only - sent with each job and forgotten when the page is closed or refreshed.
+const ApiKeys = ({ providers, keys, onChange }) => {
+  const keyProviders = providers.filter(provider => provider.apiKeyEnv);
+  const enteredCount = keyProviders.filter(provider => keys[provider.id]?.trim()).length;
+
+  return (
+    <details className="border border-gray-200 rounded-md p-4" open={enteredCount > 0}>
+      <summary className="font-medium text-gray-800 cursor-pointer">
+        Use your own API keys
+        {enteredCount > 0 && <span className="ml-2 text-sm font-normal text-gray-600">({enteredCount} entered)</span>}
+      </summary>
+
+      <div className="mt-4 space-y-3">
+        {keyProviders.map((provider) => (
+          <div key={provider.id} className="flex items-center space-x-3">
+            <label htmlFor={`api-key-${provider.id}`} className="w-32 text-gray-700">
+              {provider.name}
+            </label>
+            <input
+              id={`api-key-${provider.id}`}
+              type="password"
+              autoComplete="off"
+              spellCheck={false}
+              value={keys[provider.id] || ''}
+              onChange={(e) => onChange({ ...keys, [provider.id]: e.target.value })}
+              placeholder={provider.configured && !keys[provider.id] ? 'Using the server key' : `${provider.name} API key`}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        ))}
+
+        <p className="text-sm text-gray-500">
+          Your keys are sent with the job and used only for its calls, instead of the server's keys. They are never logged or stored on the server, and this page forgets them when it is closed or refreshed.
+        </p>
+      </div>
+    </details>
+  );
+};
+
+export default ApiKeys;
@@ -0,0 +1,94 @@
+import { useState } from 'react';
+import { formatDictionary, parseDictionary, validateDictionary } from '../../shared/brandNames';
+import { fetchBrandAliases, saveBrandAliases } from '../utils/brandAliases';
+
+// Editor for the brand alias dictionary, one brand per line with its other
+// names after a colon. It is saved on the server and used by every new run,
+// so it is loaded each time the editor is opened.
+const BrandAliases = () => {
+  const [text, setText] = useState('');
+  const [savedText, setSavedText] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const load = async () => {
+    setLoading(true);
+    setErrors([]);
+    try {
+      const formatted = formatDictionary(await fetchBrandAliases());
+      setText(formatted);
+      setSavedText(formatted);
+    } catch (err) {
+      console.error('Failed to load brand aliases:', err);
+      setErrors([`Could not load the alias dictionary: ${err.message}`]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const save = async () => {
+    const dictionary = parseDictionary(text);
+    const problems = validateDictionary(dictionary);
+    setErrors(problems);
+    if (problems.length > 0) return;
+
+    setSaving(true);
+    try {
+      const formatted = formatDictionary(await saveBrandAliases(dictionary));
+      setText(formatted);
+      setSavedText(formatted);
+    } catch (err) {
+      console.error('Failed to save brand aliases:', err);
+      setErrors(err.dictionaryErrors?.length > 0 ? err.dictionaryErrors : [`Could not save the alias dictionary: ${err.message}`]);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const brandCount = savedText ? savedText.split('\n').length : 0;
+
+  return (
+    <details className="border border-gray-200 rounded-md p-4" onToggle={(e) => e.currentTarget.open && load()}>
+      <summary className="font-medium text-gray-800 cursor-pointer">
+        Brand name aliases
+        {brandCount > 0 && <span className="ml-2 text-sm font-normal text-gray-600">({brandCount} brand{brandCount === 1 ? '' : 's'})</span>}
+      </summary>
+
+      <div className="mt-4 space-y-3">
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          disabled={loading}
+          rows={6}
+          placeholder={'LG: LG Electronics, LG Corp\nSamsung: Samsung Electronics'}
+          aria-label="Brand name aliases"
+          className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
+        />
+
+        <div className="flex items-center gap-3">
+          <button
+            onClick={save}
+            disabled={loading || saving || text === savedText}
+            className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors text-sm"
+          >
+            {saving ? 'Saving...' : 'Save aliases'}
+          </button>
+          {!loading && text !== savedText && <span className="text-sm text-gray-500">Unsaved changes</span>}
+        </div>
+
+        {errors.length > 0 && (
+          <ul className="text-sm text-red-700 space-y-1">
+            {errors.map(message => <li key={message}>• {message}</li>)}
+          </ul>
+        )}
+
+        <p className="text-sm text-gray-500">
+          Every brand in a response is given one name before it is counted: trademark symbols and legal suffixes such as "Inc." or "GmbH" are dropped, then a name listed here becomes the brand before the colon. Matching ignores case, accents and punctuation. The output keeps the name as written in the "Raw Brand" columns. Changes apply to runs started after saving.
+        </p>
+      </div>
+    </details>
+  );
+};
+
+export default BrandAliases;
@@ -0,0 +1,167 @@
+import { useState, useEffect, useMemo } from 'react';
+import { brandNormalizer, suggestAliases } from '../../shared/brandNames';
+import { addBrandAliases, fetchBrandAliases } from '../utils/brandAliases';
+
+const REASONS = {
+  spelling: 'same name',
+  prefix: 'longer name',
+  typo: 'likely typo',
+  similar: 'similar'
+};
+
+// The brand names of a run: names that look like one brand, offered as
+// aliases to accept into the dictionary, and the names as written behind
+// each canonical name. Accepted aliases apply to runs started afterwards.
+const BrandNames = ({ results, brandCount }) => {
+  const [dictionary, setDictionary] = useState(null);
+  const [error, setError] = useState(null);
+  // Aliases unticked in a suggestion, left out when it is accepted
+  const [excluded, setExcluded] = useState([]);
+  const [accepting, setAccepting] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBrandAliases()
+      .then(result => {
+        if (!cancelled) setDictionary(result);
+      })
+      .catch(err => {
+        console.error('Failed to load brand aliases:', err);
+        if (!cancelled) setError(`Could not load the alias dictionary: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // How often each canonical name was recommended, and the other ways it was written
+  const { counts, variants } = useMemo(() => {
+    const counts = new Map();
+    const variants = new Map();
+    for (const row of results) {
+      if (row['Error']) continue;
+      for (let i = 1; i <= brandCount; i++) {
+        const brand = row[`Brand ${i}`];
+        if (!brand) continue;
+        counts.set(brand, (counts.get(brand) || 0) + 1);
+        const raw = row[`Raw Brand ${i}`];
+        if (raw && raw !== brand) {
+          if (!variants.has(brand)) variants.set(brand, new Set());
+          variants.get(brand).add(raw);
+        }
+      }
+    }
+    return { counts, variants };
+  }, [results, brandCount]);
+
+  // Names are put through the current dictionary first, so accepted suggestions drop out
+  const suggestions = useMemo(() => {
+    if (!dictionary) return [];
+    const normalize = brandNormalizer(dictionary);
+    const current = new Map();
+    for (const [name, count] of counts) {
+      const brand = normalize(name);
+      current.set(brand, (current.get(brand) || 0) + count);
+    }
+    return suggestAliases(current, dictionary);
+  }, [counts, dictionary]);
+
+  const toggleAlias = (name) => {
+    setExcluded(current => (current.includes(name) ? current.filter(value => value !== name) : [...current, name]));
+  };
+
+  // The server adds them to the dictionary as it is then, in case it was edited since loading
+  const accept = async (suggestion) => {
+    const aliases = suggestion.aliases.map(alias => alias.name).filter(name => !excluded.includes(name));
+    if (aliases.length === 0) return;
+    setAccepting(suggestion.brand);
+    setError(null);
+    try {
+      setDictionary(await addBrandAliases(suggestion.brand, aliases));
+    } catch (err) {
+      console.error('Failed to save brand aliases:', err);
+      setError(`Could not save the aliases: ${err.dictionaryErrors?.[0] || err.message}`);
+    } finally {
+      setAccepting(null);
+    }
+  };
+
+  const merged = Array.from(variants).sort(([a], [b]) => a.localeCompare(b));
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <div>
+          <h4 className="font-medium text-gray-800">Suggested aliases</h4>
+          <p className="text-sm text-gray-500">
+            Names in this run that look like the same brand. Accepting adds the ticked names to the alias dictionary for runs started afterwards; this run keeps its names.
+          </p>
+        </div>
+        {!dictionary && !error && <p className="text-sm text-gray-500">Loading the alias dictionary...</p>}
+        {dictionary && suggestions.length === 0 && <p className="text-sm text-gray-500">No names to merge.</p>}
+        {suggestions.map(suggestion => (
+          <div key={suggestion.brand} className="border border-gray-200 rounded-md p-3 flex flex-wrap items-center gap-3 text-sm">
+            <span className="font-medium text-gray-800">
+              {suggestion.brand}
+              <span className="ml-1 font-normal text-gray-500">({suggestion.count})</span>
+            </span>
+            <span className="text-gray-500">also</span>
+            {suggestion.aliases.map(alias => (
+              <label key={alias.name} className="flex items-center space-x-1 text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={!excluded.includes(alias.name)}
+                  onChange={() => toggleAlias(alias.name)}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                <span>{alias.name}</span>
+                <span className="text-xs text-gray-500">({alias.count}, {REASONS[alias.reason]})</span>
+              </label>
+            ))}
+            <button
+              onClick={() => accept(suggestion)}
+              disabled={accepting !== null || suggestion.aliases.every(alias => excluded.includes(alias.name))}
+              className="ml-auto px-3 py-1.5 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+            >
+              {accepting === suggestion.brand ? 'Saving...' : 'Accept'}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="font-medium text-gray-800">Names merged in this run</h4>
+        {merged.length === 0 ? (
+          <p className="text-sm text-gray-500">Every brand was recommended under its canonical name.</p>
+        ) : (
+          <div className="overflow-x-auto border border-gray-200 rounded-md">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700 bg-gray-50 border-b border-gray-200">
+                  <th className="py-2 px-2 font-medium">Brand</th>
+                  <th className="py-2 px-2 font-medium">Written as</th>
+                </tr>
+              </thead>
+              <tbody>
+                {merged.map(([brand, names]) => (
+                  <tr key={brand} className="border-b border-gray-100">
+                    <td className="py-2 px-2 text-gray-800 whitespace-nowrap">{brand}</td>
+                    <td className="py-2 px-2 text-gray-600">{Array.from(names).join(', ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BrandNames;
@@ -0,0 +1,68 @@
+import { validateColumnMapping } from '../../shared/promptTemplate';
+
+// Per-column choice of whether the value goes into {{productInfo}} and whether
+// it's copied unchanged into the output (for joining results back to a catalog)
+const ColumnMapper = ({ columns, mapping, onChange }) => {
+  const { promptColumns, passThroughColumns } = mapping;
+  const errors = validateColumnMapping(mapping, columns);
+
+  // Keep the file's column order whatever order the boxes were ticked in
+  const toggle = (list, column) => (
+    list.includes(column)
+      ? list.filter(existing => existing !== column)
+      : columns.filter(existing => existing === column || list.includes(existing))
+  );
+
+  return (
+    <div className="space-y-3">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-700 border-b border-gray-200">
+            <th className="py-2 font-medium">Column</th>
+            <th className="py-2 font-medium text-center">Include in prompt</th>
+            <th className="py-2 font-medium text-center">Pass through to output</th>
+          </tr>
+        </thead>
+        <tbody>
+          {columns.map((column) => (
+            <tr key={column} className="border-b border-gray-100">
+              <td className="py-2 text-gray-800">{column}</td>
+              <td className="py-2 text-center">
+                <input
+                  type="checkbox"
+                  aria-label={`Include ${column} in the prompt`}
+                  checked={promptColumns.includes(column)}
+                  onChange={() => onChange({ ...mapping, promptColumns: toggle(promptColumns, column) })}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+              </td>
+              <td className="py-2 text-center">
+                <input
+                  type="checkbox"
+                  aria-label={`Pass ${column} through to the output`}
+                  checked={passThroughColumns.includes(column)}
+                  onChange={() => onChange({ ...mapping, passThroughColumns: toggle(passThroughColumns, column) })}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <p className="text-sm text-gray-500">
+        Prompt columns make up {'{{productInfo}}'}. Pass-through columns, such as SKUs or internal IDs, are copied into every output row so results can be joined back to your catalog.
+      </p>
+
+      {errors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <ul className="text-sm text-red-700 space-y-1">
+            {errors.map((error) => <li key={error}>• {error}</li>)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnMapper;
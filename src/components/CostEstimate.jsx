@@ -0,0 +1,54 @@
+import { formatCost } from '../utils/format';
+
+const CostEstimate = ({ estimate, loading, demoMode, budgetLimit, onBudgetChange }) => {
+  return (
+    <div className="space-y-3">
+      <div className="bg-gray-50 border border-gray-200 rounded-md p-4">
+        <h4 className="font-semibold text-gray-800 mb-2">Estimated Cost</h4>
+        {loading && <p className="text-sm text-gray-500">Estimating...</p>}
+        {!loading && !estimate && (
+          <p className="text-sm text-gray-500">Upload a file and select models to see an estimate.</p>
+        )}
+        {!loading && estimate && (
+          <div className="text-sm text-gray-700 space-y-1">
+            <p>
+              <strong>{formatCost(estimate.cost)}</strong> for {estimate.totalCalls} calls
+              (about {estimate.inputTokens.toLocaleString()} input and {estimate.outputTokens.toLocaleString()} output tokens)
+            </p>
+            {demoMode && (
+              <p className="text-gray-500">Demo mode responses are free - this is what the run would cost with real API keys.</p>
+            )}
+            {estimate.unpricedModels.length > 0 && (
+              <p className="text-yellow-700">
+                No pricing configured for: {estimate.unpricedModels.join(', ')}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center space-x-4">
+        <label htmlFor="budgetLimit" className="text-gray-700">
+          Budget limit (USD, optional):
+        </label>
+        <input
+          id="budgetLimit"
+          type="number"
+          min="0"
+          step="0.01"
+          value={budgetLimit}
+          onChange={(e) => onBudgetChange(e.target.value)}
+          placeholder="No limit"
+          className="w-32 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+      {budgetLimit && estimate && estimate.cost > parseFloat(budgetLimit) && (
+        <p className="text-sm text-yellow-700">
+          The estimate is over budget - the run will stop once {formatCost(parseFloat(budgetLimit))} has been spent and keep the results collected so far.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CostEstimate;
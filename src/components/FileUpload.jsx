@@ -1,21 +1,32 @@
 import { useCallback } from 'react';
 import { useDropzone } from 'react-dropzone';
+import { ACCEPTED_EXTENSIONS, detectFileFormat } from '../../shared/productFile';
 
-const FileUpload = ({ onFileSelect, selectedFile }) => {
+// Browsers disagree on MIME types (Windows reports CSVs as Excel files), so
+// files are accepted by extension as well
+const ACCEPTED_TYPES = {
+  'text/csv': ['.csv'],
+  'text/tab-separated-values': ['.tsv', '.tab'],
+  'text/plain': ['.txt'],
+  'application/vnd.ms-excel': ['.xls'],
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/json': ['.json'],
+  'application/x-ndjson': ['.jsonl', '.ndjson']
+};
+
+const FileUpload = ({ onFileSelect, selectedFile, sheetNames = [], sheetName, onSheetChange }) => {
   const onDrop = useCallback((acceptedFiles) => {
     const file = acceptedFiles[0];
-    if (file && file.type === 'text/csv') {
+    if (file && detectFileFormat(file.name)) {
       onFileSelect(file);
     } else {
-      alert('Please select a valid CSV file');
+      alert(`Please select a product file (${ACCEPTED_EXTENSIONS.join(', ')})`);
     }
   }, [onFileSelect]);
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: {
-      'text/csv': ['.csv']
-    },
+    accept: ACCEPTED_TYPES,
     multiple: false
   });
 
@@ -47,28 +58,47 @@ const FileUpload = ({ onFileSelect, selectedFile }) => {
               </p>
             </div>
           ) : isDragActive ? (
-            <p className="text-blue-600">Drop the CSV file here...</p>
+            <p className="text-blue-600">Drop the file here...</p>
           ) : (
             <div>
               <p className="text-gray-600 mb-2">
-                Drag and drop a CSV file here, or click to select
+                Drag and drop a product file here, or click to select
               </p>
               <p className="text-sm text-gray-500">
-                CSV files only. The file should contain product information in columns.
+                CSV, TSV, Excel (.xlsx, .xls), JSON or JSON Lines. The file should contain product information in columns.
               </p>
             </div>
           )}
         </div>
       </div>
       
+      {sheetNames.length > 1 && (
+        <div className="mt-4 flex items-center space-x-4">
+          <label htmlFor="sheetName" className="text-gray-700">
+            Sheet:
+          </label>
+          <select
+            id="sheetName"
+            value={sheetName || sheetNames[0]}
+            onChange={(e) => onSheetChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {sheetNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
       {selectedFile && (
         <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-          <h3 className="font-semibold text-gray-800 mb-2">CSV Format Requirements:</h3>
+          <h3 className="font-semibold text-gray-800 mb-2">File Format Requirements:</h3>
           <ul className="text-sm text-gray-600 space-y-1">
-            <li>• Each row should represent a product</li>
+            <li>• Each row (or JSON object) should represent a product</li>
             <li>• Minimum: One "Product" column with product names</li>
             <li>• Optional: Additional columns like Category, Description, Price, etc.</li>
-            <li>• The AI will use all column data to generate recommendations</li>
+            <li>• Prompt columns (all columns by default) are sent to the AI to describe each product</li>
+            <li>• Pass-through columns, such as SKUs, aren't sent; they are copied into every output row</li>
           </ul>
         </div>
       )}
@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react';
+import RunDiff from './RunDiff';
+import ResultsExplorer from './ResultsExplorer';
+import { formatCost } from '../utils/format';
+import { downloadFile, downloadUrl } from '../utils/downloads';
+import { PARAM_LABELS } from '../../shared/modelParams';
+
+const STATUS_STYLES = {
+  completed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  running: 'bg-blue-100 text-blue-800',
+  queued: 'bg-blue-100 text-blue-800',
+  paused: 'bg-gray-100 text-gray-800'
+};
+
+const isFinished = (run) => ['completed', 'failed', 'cancelled'].includes(run.status);
+
+// "Temperature 0.7, Max tokens 1000, Seed 42" - a system prompt of its own is shown separately
+const formatParams = (params) => Object.entries(params)
+  .filter(([name, value]) => name !== 'systemPrompt' && value !== null && value !== undefined)
+  .map(([name, value]) => `${PARAM_LABELS[name] || name} ${value}`)
+  .join(', ');
+
+// Past runs with their settings. Ticking two finished runs compares them.
+const HistoryPage = ({ models, apiKeys }) => {
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [viewing, setViewing] = useState(null);
+
+  const modelName = (modelKey) => models.find(model => model.id === modelKey)?.name || modelKey;
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await fetch('/api/history');
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+      setRuns(result.runs);
+    } catch (err) {
+      console.error('Failed to load run history:', err);
+      setError(`Could not load the run history: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  // At most two runs are selected; ticking a third replaces the oldest pick
+  const toggleRun = (runId) => {
+    setDiff(null);
+    setSelected(current => (
+      current.includes(runId)
+        ? current.filter(id => id !== runId)
+        : [...current, runId].slice(-2)
+    ));
+  };
+
+  // The earlier run is the baseline, so changes read forward in time
+  const compareRuns = async () => {
+    const [base, compare] = runs
+      .filter(run => selected.includes(run.id))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    setDiffLoading(true);
+    setError(null);
+    try {
+      const response = await fetch(`/api/history/compare?base=${base.id}&compare=${compare.id}`);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+      setDiff(result);
+    } catch (err) {
+      console.error('Failed to compare runs:', err);
+      setError(`Could not compare the runs: ${err.message}`);
+    } finally {
+      setDiffLoading(false);
+    }
+  };
+
+  const canCompare = selected.length === 2 &&
+    runs.filter(run => selected.includes(run.id)).every(isFinished);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-gray-600">
+          Every run is kept with its models, prompt and file. Tick two finished runs to see how the recommendations changed.
+        </p>
+        <button
+          onClick={loadHistory}
+          disabled={loading}
+          className="px-4 py-2 bg-gray-100 text-gray-800 rounded hover:bg-gray-200 disabled:opacity-50 transition-colors"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <p className="text-red-800">{error}</p>
+        </div>
+      )}
+
+      {loading && runs.length === 0 ? (
+        <div className="text-center py-8">
+          <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+          <p className="text-gray-600 mt-2">Loading run history...</p>
+        </div>
+      ) : runs.length === 0 ? (
+        <p className="text-gray-500 text-center py-8">No runs yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-700 border-b border-gray-200">
+                <th className="py-2 pr-2 font-medium"><span className="sr-only">Compare</span></th>
+                <th className="py-2 pr-2 font-medium">Started</th>
+                <th className="py-2 pr-2 font-medium">File</th>
+                <th className="py-2 pr-2 font-medium">Models</th>
+                <th className="py-2 pr-2 font-medium text-right">Products</th>
+                <th className="py-2 pr-2 font-medium text-right">Iterations</th>
+                <th className="py-2 pr-2 font-medium">Status</th>
+                <th className="py-2 pr-2 font-medium text-right">Cost</th>
+                <th className="py-2 font-medium"><span className="sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody>
+              {runs.map((run) => (
+                <RunRow
+                  key={run.id}
+                  run={run}
+                  modelName={modelName}
+                  selected={selected.includes(run.id)}
+                  expanded={expanded === run.id}
+                  onToggleSelect={() => toggleRun(run.id)}
+                  onToggleDetails={() => setExpanded(expanded === run.id ? null : run.id)}
+                  viewing={viewing === run.id}
+                  onToggleResults={() => setViewing(viewing === run.id ? null : run.id)}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="text-center">
+        <button
+          onClick={compareRuns}
+          disabled={!canCompare || diffLoading}
+          className="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors font-semibold"
+        >
+          {diffLoading ? 'Comparing...' : 'Compare Selected Runs'}
+        </button>
+        {selected.length === 2 && !canCompare && (
+          <p className="text-sm text-gray-500 mt-2">Both runs need to have finished before they can be compared.</p>
+        )}
+      </div>
+
+      {diff && <RunDiff diff={diff} modelName={modelName} />}
+
+      {viewing && (
+        <ResultsExplorer
+          jobId={viewing}
+          modelName={modelName}
+          apiKeys={apiKeys}
+          onJobUpdate={(job) => setRuns(current => current.map(run => (run.id === job.id ? job : run)))}
+        />
+      )}
+    </div>
+  );
+};
+
+const RunRow = ({ run, modelName, selected, expanded, onToggleSelect, onToggleDetails, viewing, onToggleResults }) => (
+  <>
+    <tr className="border-b border-gray-100 align-top">
+      <td className="py-2 pr-2">
+        <input
+          type="checkbox"
+          aria-label={`Select the run from ${new Date(run.createdAt).toLocaleString()} for comparison`}
+          checked={selected}
+          onChange={onToggleSelect}
+          className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+      </td>
+      <td className="py-2 pr-2 text-gray-800 whitespace-nowrap">{new Date(run.createdAt).toLocaleString()}</td>
+      <td className="py-2 pr-2 text-gray-800">
+        {run.fileName}
+        {run.fileHash && (
+          <span className="block text-xs text-gray-500 font-mono" title={run.fileHash}>{run.fileHash.slice(0, 12)}</span>
+        )}
+      </td>
+      <td className="py-2 pr-2 text-gray-800">{run.models.map(modelName).join(', ')}</td>
+      <td className="py-2 pr-2 text-gray-800 text-right">{run.totalProducts ?? '—'}</td>
+      <td className="py-2 pr-2 text-gray-800 text-right">{run.iterations}</td>
+      <td className="py-2 pr-2">
+        <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[run.status] || ''}`}>
+          {run.status}
+        </span>
+        {!isFinished(run) && (
+          <span className="block text-xs text-gray-500 mt-1">{run.completedTasks}/{run.totalTasks} calls</span>
+        )}
+      </td>
+      <td className="py-2 pr-2 text-gray-800 text-right">{formatCost(run.usage.cost)}</td>
+      <td className="py-2 whitespace-nowrap text-right space-x-3">
+        <button onClick={onToggleDetails} className="text-blue-600 hover:underline">
+          {expanded ? 'Hide' : 'Details'}
+        </button>
+        {isFinished(run) && run.status !== 'failed' && (
+          <>
+            <button onClick={onToggleResults} className="text-blue-600 hover:underline">
+              {viewing ? 'Hide results' : 'Results'}
+            </button>
+            <button onClick={() => downloadFile(downloadUrl(run.id))} className="text-blue-600 hover:underline">
+              Download
+            </button>
+          </>
+        )}
+      </td>
+    </tr>
+    {expanded && (
+      <tr className="border-b border-gray-100 bg-gray-50">
+        <td></td>
+        <td colSpan={8} className="py-3 pr-2 text-gray-700 space-y-2">
+          <div>
+            <span className="font-medium">Prompt:</span>
+            <pre className="mt-1 whitespace-pre-wrap font-mono text-xs bg-white border border-gray-200 rounded p-2">{run.prompt.template}</pre>
+          </div>
+          {run.prompt.systemPrompt && (
+            <div>
+              <span className="font-medium">System prompt:</span>
+              <pre className="mt-1 whitespace-pre-wrap font-mono text-xs bg-white border border-gray-200 rounded p-2">{run.prompt.systemPrompt}</pre>
+            </div>
+          )}
+          <p><span className="font-medium">Brands per response:</span> {run.prompt.brandCount}</p>
+          {run.prompt.outputFormat === 'json' && (
+            <p><span className="font-medium">Output format:</span> structured JSON with rationales</p>
+          )}
+          {run.modelParams && (
+            <div>
+              <span className="font-medium">Generation parameters:</span>
+              <ul className="mt-1 space-y-1">
+                {Object.entries(run.modelParams).map(([modelKey, params]) => (
+                  <li key={modelKey}>
+                    {modelName(modelKey)}: {formatParams(params)}
+                    {params.systemPrompt && params.systemPrompt !== run.prompt.systemPrompt && (
+                      <span className="block text-xs text-gray-500">System prompt: {params.systemPrompt}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {run.columnMapping && (
+            <>
+              <p><span className="font-medium">Prompt columns:</span> {run.columnMapping.promptColumns.join(', ')}</p>
+              {run.columnMapping.passThroughColumns.length > 0 && (
+                <p><span className="font-medium">Pass-through columns:</span> {run.columnMapping.passThroughColumns.join(', ')}</p>
+              )}
+            </>
+          )}
+          {run.watchlist?.length > 0 && (
+            <p>
+              <span className="font-medium">Watchlist:</span>{' '}
+              {run.watchlist.map(entry => `${entry.brand}${entry.own ? ' (ours)' : ''}${entry.aliases.length > 0 ? ` - also ${entry.aliases.join(', ')}` : ''}`).join('; ')}
+            </p>
+          )}
+          {run.brandAliasCount > 0 && (
+            <p><span className="font-medium">Brand aliases:</span> {run.brandAliasCount} brand{run.brandAliasCount === 1 ? '' : 's'} in the dictionary</p>
+          )}
+          {run.budgetLimit && <p><span className="font-medium">Budget:</span> {formatCost(run.budgetLimit)}</p>}
+          {run.stopReason && <p><span className="font-medium">Stopped:</span> {run.stopReason === 'budget' ? 'budget reached' : 'cancelled'}</p>}
+          {run.error && <p className="text-red-700"><span className="font-medium">Error:</span> {run.error}</p>}
+        </td>
+      </tr>
+    )}
+  </>
+);
+
+export default HistoryPage;
@@ -0,0 +1,142 @@
+import {
+  PARAM_LABELS,
+  PARAM_LIMITS,
+  REASONING_EFFORTS,
+  defaultModelParams,
+  validateModelParams
+} from '../../shared/modelParams';
+
+const STEPS = { temperature: 0.1, topP: 0.05, maxTokens: 100 };
+
+// Generation parameters for each selected model. Only changed values are kept;
+// blank fields use the defaults shown as placeholders.
+const ModelParams = ({ models, params, onChange }) => {
+  const changedCount = models.filter(model => Object.keys(params[model.id] || {}).length > 0).length;
+
+  // Clearing a field drops it, so the default applies again
+  const setParam = (modelId, name, value) => {
+    const { [name]: _previous, ...rest } = params[modelId] || {};
+    const settings = value === '' ? rest : { ...rest, [name]: value };
+    onChange({ ...params, [modelId]: settings });
+  };
+
+  const resetModel = (modelId) => {
+    const { [modelId]: _previous, ...rest } = params;
+    onChange(rest);
+  };
+
+  if (models.length === 0) {
+    return null;
+  }
+
+  return (
+    <details className="border border-gray-200 rounded-md p-4" open={changedCount > 0}>
+      <summary className="font-medium text-gray-800 cursor-pointer">
+        Generation parameters
+        {changedCount > 0 && <span className="ml-2 text-sm font-normal text-gray-600">({changedCount} model{changedCount === 1 ? '' : 's'} changed)</span>}
+      </summary>
+
+      <div className="mt-4 space-y-4">
+        {models.map((model) => {
+          const settings = params[model.id] || {};
+          const defaults = defaultModelParams(model);
+          const limits = model.limits || PARAM_LIMITS;
+          const errors = validateModelParams(settings, model.name, limits);
+          const supported = model.params || [];
+          const inputId = (name) => `param-${model.id}-${name}`;
+
+          return (
+            <div key={model.id} className="border-t border-gray-100 pt-3 space-y-3">
+              <div className="flex justify-between items-center">
+                <h4 className="font-medium text-gray-800">{model.name}</h4>
+                {Object.keys(settings).length > 0 && (
+                  <button onClick={() => resetModel(model.id)} className="text-xs text-blue-600 hover:text-blue-800">
+                    Reset to defaults
+                  </button>
+                )}
+              </div>
+
+              <div className="flex flex-wrap gap-4">
+                {Object.keys(limits).filter(name => supported.includes(name)).map((name) => (
+                  <div key={name}>
+                    <label htmlFor={inputId(name)} className="block text-sm text-gray-700 mb-1">{PARAM_LABELS[name]}</label>
+                    <input
+                      id={inputId(name)}
+                      type="number"
+                      min={limits[name].min}
+                      max={limits[name].max}
+                      step={STEPS[name]}
+                      value={settings[name] ?? ''}
+                      placeholder={String(defaults[name])}
+                      onChange={(e) => setParam(model.id, name, e.target.value === '' ? '' : Number(e.target.value))}
+                      className="w-28 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    />
+                  </div>
+                ))}
+
+                {supported.includes('seed') && (
+                  <div>
+                    <label htmlFor={inputId('seed')} className="block text-sm text-gray-700 mb-1">{PARAM_LABELS.seed}</label>
+                    <input
+                      id={inputId('seed')}
+                      type="number"
+                      step={1}
+                      value={settings.seed ?? ''}
+                      placeholder="None"
+                      onChange={(e) => setParam(model.id, 'seed', e.target.value === '' ? '' : Number(e.target.value))}
+                      className="w-28 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    />
+                  </div>
+                )}
+
+                {supported.includes('reasoningEffort') && (
+                  <div>
+                    <label htmlFor={inputId('reasoningEffort')} className="block text-sm text-gray-700 mb-1">{PARAM_LABELS.reasoningEffort}</label>
+                    <select
+                      id={inputId('reasoningEffort')}
+                      value={settings.reasoningEffort ?? defaults.reasoningEffort}
+                      onChange={(e) => setParam(model.id, 'reasoningEffort', e.target.value === defaults.reasoningEffort ? '' : e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                    >
+                      {REASONING_EFFORTS.map(effort => <option key={effort} value={effort}>{effort}</option>)}
+                    </select>
+                  </div>
+                )}
+              </div>
+
+              {supported.includes('systemPrompt') && (
+                <div>
+                  <label htmlFor={inputId('systemPrompt')} className="block text-sm text-gray-700 mb-1">{PARAM_LABELS.systemPrompt}</label>
+                  <textarea
+                    id={inputId('systemPrompt')}
+                    rows={2}
+                    value={settings.systemPrompt ?? ''}
+                    placeholder="Uses the system prompt above"
+                    onChange={(e) => setParam(model.id, 'systemPrompt', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  />
+                </div>
+              )}
+
+              {model.reasoning && (
+                <p className="text-xs text-gray-500">Reasoning models don't take temperature or top P. Max tokens includes the tokens spent reasoning.</p>
+              )}
+
+              {errors.length > 0 && (
+                <ul className="text-sm text-red-700 space-y-1">
+                  {errors.map(message => <li key={message}>• {message}</li>)}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+
+        <p className="text-sm text-gray-500">
+          The defaults are the providers' own. A fixed seed makes iterations more repeatable on models that take one. Every output row records the parameters it was generated with.
+        </p>
+      </div>
+    </details>
+  );
+};
+
+export default ModelParams;
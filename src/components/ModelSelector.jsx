@@ -1,4 +1,4 @@
-const ModelSelector = ({ models, selectedModels, onModelSelect, availableModels = [] }) => {
+const ModelSelector = ({ models, selectedModels, onModelSelect, availableModels = [], sessionKeyProviders = [] }) => {
   const handleModelToggle = (modelId) => {
     const updatedSelection = selectedModels.includes(modelId)
       ? selectedModels.filter(id => id !== modelId)
@@ -9,26 +9,28 @@ const ModelSelector = ({ models, selectedModels, onModelSelect, availableModels
 
   const groupedModels = models.reduce((acc, model) => {
     if (!acc[model.provider]) {
-      acc[model.provider] = [];
+      acc[model.provider] = { name: model.providerName, models: [] };
     }
-    acc[model.provider].push(model);
+    acc[model.provider].models.push(model);
     return acc;
   }, {});
 
   const getProviderColor = (provider) => {
     const colors = {
-      'OpenAI': 'bg-green-50 border-green-200',
-      'Anthropic': 'bg-blue-50 border-blue-200',
-      'DeepSeek': 'bg-purple-50 border-purple-200'
+      'openai': 'bg-green-50 border-green-200',
+      'anthropic': 'bg-blue-50 border-blue-200',
+      'deepseek': 'bg-purple-50 border-purple-200',
+      'demo': 'bg-yellow-50 border-yellow-200'
     };
     return colors[provider] || 'bg-gray-50 border-gray-200';
   };
 
   const getProviderIcon = (provider) => {
     const icons = {
-      'OpenAI': '🤖',
-      'Anthropic': '🧠',
-      'DeepSeek': '🔍'
+      'openai': '🤖',
+      'anthropic': '🧠',
+      'deepseek': '🔍',
+      'demo': '🎲'
     };
     return icons[provider] || '🤖';
   };
@@ -39,11 +41,16 @@ const ModelSelector = ({ models, selectedModels, onModelSelect, availableModels
         Selected: {selectedModels.length} of {models.length} models
       </div>
       
-      {Object.entries(groupedModels).map(([provider, providerModels]) => (
+      {Object.entries(groupedModels).map(([provider, { name: providerName, models: providerModels }]) => (
         <div key={provider} className={`rounded-lg border p-4 ${getProviderColor(provider)}`}>
           <h3 className="font-semibold text-gray-800 mb-3 flex items-center">
             <span className="mr-2 text-lg">{getProviderIcon(provider)}</span>
-            {provider}
+            {providerName}
+            {sessionKeyProviders.includes(provider) && (
+              <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-white border border-gray-300 text-gray-700">
+                Your key
+              </span>
+            )}
           </h3>
           
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
@@ -70,7 +77,7 @@ const ModelSelector = ({ models, selectedModels, onModelSelect, availableModels
                       {model.name}
                       {!isAvailable && <span className="ml-2 text-xs">(API key required)</span>}
                     </div>
-                    <div className="text-xs text-gray-500">{model.provider}</div>
+                    <div className="text-xs text-gray-500">{model.providerName}</div>
                   </div>
                 </label>
               );
@@ -1,7 +1,9 @@
-import { useState, useEffect } from 'react';
-import { io } from 'socket.io-client';
+import { useState, useEffect, useRef } from 'react';
+import { formatCost, formatDuration } from '../utils/format';
 
-const ProgressTracker = ({ onComplete }) => {
+// estimatedSeconds is the preview's estimate for the whole run, used until
+// the rate of the calls so far is known
+const ProgressTracker = ({ socket, jobId, estimatedSeconds }) => {
   const [progress, setProgress] = useState({
     completed: 0,
     total: 0,
@@ -11,40 +13,91 @@ const ProgressTracker = ({ onComplete }) => {
     iteration: 1,
     status: 'Initializing...'
   });
+  const [controlPending, setControlPending] = useState(false);
+  const [controlError, setControlError] = useState(null);
+  // When timing started and how many calls were done then. A pause restarts
+  // it, so the time spent paused doesn't slow the rate.
+  const rateStart = useRef(null);
 
+  // Subscribe to this job's room on the shared socket
   useEffect(() => {
-    const socket = io(process.env.NODE_ENV === 'production' ? window.location.origin : 'http://localhost:3001');
+    if (!socket || !jobId) return;
+    rateStart.current = null;
 
-    socket.on('connect', () => {
-      console.log('Connected to server');
-    });
+    const joinJob = () => {
+      socket.emit('join-job', jobId);
+    };
 
-    socket.on('progress', (progressData) => {
-      setProgress(progressData);
+    const handleProgress = (progressData) => {
+      if (progressData.jobId !== jobId) return;
 
-      // Call onComplete when processing is finished
-      if (progressData.percentage === 100 && onComplete) {
-        setTimeout(() => {
-          onComplete();
-        }, 2000); // Wait 2 seconds to show completion
+      const now = Date.now();
+      let secondsLeft = null;
+      if (progressData.jobStatus === 'paused') {
+        rateStart.current = null;
+      } else if (!rateStart.current) {
+        rateStart.current = { time: now, completed: progressData.completed };
+      } else {
+        const done = progressData.completed - rateStart.current.completed;
+        if (done > 0) {
+          secondsLeft = (progressData.total - progressData.completed) * (now - rateStart.current.time) / 1000 / done;
+        }
       }
-    });
+      setProgress({ ...progressData, secondsLeft });
+    };
+
+    // Rejoin after a reconnect, since rooms don't survive a new connection
+    socket.on('connect', joinJob);
+    socket.on('progress', handleProgress);
+    socket.on('job-complete', handleProgress);
+    socket.on('job-error', handleProgress);
 
-    socket.on('disconnect', () => {
-      console.log('Disconnected from server');
-    });
+    if (socket.connected) {
+      joinJob();
+    }
 
     return () => {
-      socket.disconnect();
+      socket.emit('leave-job', jobId);
+      socket.off('connect', joinJob);
+      socket.off('progress', handleProgress);
+      socket.off('job-complete', handleProgress);
+      socket.off('job-error', handleProgress);
     };
-  }, []);
+  }, [socket, jobId]);
+
+  // Pause, resume or cancel the job; the server broadcasts the new state to the room
+  const controlJob = async (action) => {
+    setControlPending(true);
+    setControlError(null);
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/${action}`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+      setProgress(current => ({ ...current, jobStatus: result.job.status, stopReason: result.job.stopReason }));
+    } catch (err) {
+      console.error(`Failed to ${action} job:`, err);
+      setControlError(`Could not ${action} the job: ${err.message}`);
+    } finally {
+      setControlPending(false);
+    }
+  };
+
+  const isPaused = progress.jobStatus === 'paused';
+  const isStopping = !!progress.stopReason;
+  const secondsLeft = progress.secondsLeft ?? (estimatedSeconds && progress.total > 0
+    ? estimatedSeconds * (progress.total - progress.completed) / progress.total
+    : null);
 
   return (
     <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
       <div className="text-center">
-        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-4"></div>
+        {!isPaused && (
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 mb-4"></div>
+        )}
         <h3 className="text-lg font-semibold text-blue-800 mb-2">
-          Processing Recommendations
+          {isPaused ? 'Processing Paused' : 'Processing Recommendations'}
         </h3>
 
         {/* Progress Bar */}
@@ -71,12 +124,50 @@ const ProgressTracker = ({ onComplete }) => {
               {progress.iteration && <p><strong>Iteration:</strong> {progress.iteration}</p>}
             </div>
           )}
+          {progress.usage && (
+            <p className="text-sm text-gray-600">
+              <strong>Spent so far:</strong> {formatCost(progress.usage.cost)} ({(progress.usage.inputTokens + progress.usage.outputTokens).toLocaleString()} tokens)
+            </p>
+          )}
         </div>
 
+        {/* Job Controls */}
+        {!isStopping && (
+          <div className="flex justify-center space-x-3 mb-4">
+            {isPaused ? (
+              <button
+                onClick={() => controlJob('resume')}
+                disabled={controlPending}
+                className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 transition-colors"
+              >
+                Resume
+              </button>
+            ) : (
+              <button
+                onClick={() => controlJob('pause')}
+                disabled={controlPending}
+                className="px-4 py-2 bg-yellow-500 text-white rounded hover:bg-yellow-600 disabled:bg-gray-400 transition-colors"
+              >
+                Pause
+              </button>
+            )}
+            <button
+              onClick={() => controlJob('cancel')}
+              disabled={controlPending}
+              className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 disabled:bg-gray-400 transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+        {controlError && (
+          <p className="text-sm text-red-700 mb-4">{controlError}</p>
+        )}
+
         <div className="bg-white rounded-lg p-4 text-left">
           <h4 className="font-semibold text-gray-800 mb-2">Processing Steps:</h4>
           <ul className="text-sm text-gray-600 space-y-1">
-            <li>• Parsing your CSV file ✓</li>
+            <li>• Parsing your product file ✓</li>
             <li>• Generating prompts for each product ✓</li>
             <li>• Calling selected AI models {progress.percentage > 0 ? '🔄' : '⏳'}</li>
             <li>• Running multiple iterations as requested {progress.percentage > 50 ? '🔄' : '⏳'}</li>
@@ -85,9 +176,9 @@ const ProgressTracker = ({ onComplete }) => {
         </div>
 
         <div className="mt-4 text-sm text-gray-500">
-          <p>Please keep this tab open while processing...</p>
-          {progress.total > 0 && (
-            <p>Estimated time remaining: {Math.ceil((progress.total - progress.completed) * 3)} seconds</p>
+          <p>Processing continues on the server - you can safely refresh or close this tab. Use Cancel to stop it.</p>
+          {secondsLeft !== null && progress.completed < progress.total && !isPaused && (
+            <p>Estimated time remaining: {formatDuration(secondsLeft)}</p>
           )}
         </div>
       </div>
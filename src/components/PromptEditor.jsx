@@ -0,0 +1,176 @@
+import { useRef } from 'react';
+import {
+  BUILTIN_PLACEHOLDERS,
+  DEFAULT_JSON_PROMPT_TEMPLATE,
+  DEFAULT_PROMPT_TEMPLATE,
+  DEFAULT_SYSTEM_PROMPT,
+  MAX_BRAND_COUNT,
+  renderJobPrompt,
+  validateTemplate
+} from '../../shared/promptTemplate';
+
+const DEFAULT_TEMPLATES = { text: DEFAULT_PROMPT_TEMPLATE, json: DEFAULT_JSON_PROMPT_TEMPLATE };
+
+const PromptEditor = ({ template, systemPrompt, brandCount, outputFormat, columns, promptColumns, sampleRow, onChange }) => {
+  const templateRef = useRef(null);
+
+  const errors = columns.length > 0 ? validateTemplate(template, columns) : [];
+  const preview = sampleRow && errors.length === 0
+    ? renderJobPrompt({ template, brandCount, outputFormat }, sampleRow, promptColumns)
+    : null;
+
+  // Insert a placeholder at the cursor position in the template
+  const insertPlaceholder = (name) => {
+    const textarea = templateRef.current;
+    const placeholder = `{{${name}}}`;
+    const start = textarea ? textarea.selectionStart : template.length;
+    const end = textarea ? textarea.selectionEnd : template.length;
+    onChange({ template: template.slice(0, start) + placeholder + template.slice(end) });
+  };
+
+  const handleReset = () => {
+    onChange({ template: DEFAULT_TEMPLATES[outputFormat], systemPrompt: DEFAULT_SYSTEM_PROMPT });
+  };
+
+  // The default template asks for a comma separated list, so it's swapped
+  // along with the format. A customized template is left for the user to adjust.
+  const handleFormatChange = (format) => {
+    onChange(template === DEFAULT_TEMPLATES[outputFormat]
+      ? { outputFormat: format, template: DEFAULT_TEMPLATES[format] }
+      : { outputFormat: format });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label htmlFor="systemPrompt" className="block text-sm font-medium text-gray-700 mb-1">
+          System prompt
+        </label>
+        <textarea
+          id="systemPrompt"
+          rows={2}
+          value={systemPrompt}
+          onChange={(e) => onChange({ systemPrompt: e.target.value })}
+          className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+        />
+      </div>
+
+      <div>
+        <div className="flex justify-between items-center mb-1">
+          <label htmlFor="promptTemplate" className="block text-sm font-medium text-gray-700">
+            Prompt template
+          </label>
+          <button
+            onClick={handleReset}
+            className="text-xs text-blue-600 hover:text-blue-800"
+          >
+            Reset to default
+          </button>
+        </div>
+        <textarea
+          id="promptTemplate"
+          ref={templateRef}
+          rows={3}
+          value={template}
+          onChange={(e) => onChange({ template: e.target.value })}
+          className={`w-full px-3 py-2 border rounded focus:outline-none focus:ring-2 text-sm font-mono ${
+            errors.length > 0 ? 'border-red-300 focus:ring-red-500' : 'border-gray-300 focus:ring-blue-500'
+          }`}
+        />
+
+        <div className="flex flex-wrap gap-2 mt-2">
+          {Object.entries(BUILTIN_PLACEHOLDERS).map(([name, description]) => (
+            <button
+              key={name}
+              onClick={() => insertPlaceholder(name)}
+              title={description}
+              className="px-2 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200 font-mono"
+            >
+              {`{{${name}}}`}
+            </button>
+          ))}
+          {columns.map((column) => (
+            <button
+              key={column}
+              onClick={() => insertPlaceholder(column)}
+              title={`Value of the "${column}" column`}
+              className="px-2 py-1 text-xs rounded bg-blue-100 text-blue-800 hover:bg-blue-200 font-mono"
+            >
+              {`{{${column}}}`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center space-x-4">
+        <label htmlFor="brandCount" className="text-gray-700 text-sm">
+          Brands per response:
+        </label>
+        <input
+          id="brandCount"
+          type="number"
+          min="1"
+          max={MAX_BRAND_COUNT}
+          value={brandCount}
+          onChange={(e) => onChange({ brandCount: Math.min(parseInt(e.target.value) || 1, MAX_BRAND_COUNT) })}
+          className="w-20 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700 mb-1">Output format</legend>
+        <div className="space-y-1">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name="outputFormat"
+              checked={outputFormat === 'text'}
+              onChange={() => handleFormatChange('text')}
+              className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+            />
+            <span>Brand list - comma separated names</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name="outputFormat"
+              checked={outputFormat === 'json'}
+              onChange={() => handleFormatChange('json')}
+              className="w-4 h-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+            />
+            <span>Structured JSON - each brand with a rank, a one-line rationale and a confidence</span>
+          </label>
+        </div>
+        {outputFormat === 'json' && (
+          <p className="text-xs text-gray-500 mt-1">
+            The JSON format instructions are added to the end of the prompt. Invalid answers are asked for again once.
+          </p>
+        )}
+      </fieldset>
+
+      {errors.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-3">
+          <ul className="text-sm text-red-700 space-y-1">
+            {errors.map((error) => <li key={error}>• {error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {preview && (
+        <div className="bg-gray-50 border border-gray-200 rounded-md p-3">
+          <h4 className="text-sm font-semibold text-gray-800 mb-1">Preview (first row)</h4>
+          {systemPrompt && (
+            <p className="text-xs text-gray-500 mb-1 whitespace-pre-wrap">{systemPrompt}</p>
+          )}
+          <p className="text-sm text-gray-700 whitespace-pre-wrap">{preview}</p>
+        </div>
+      )}
+
+      {columns.length === 0 && (
+        <p className="text-sm text-gray-500">Upload a file to see its columns and a preview of the prompt.</p>
+      )}
+    </div>
+  );
+};
+
+export default PromptEditor;
@@ -0,0 +1,396 @@
+import { useState, useEffect, useMemo } from 'react';
+import ResultsGrid from './ResultsGrid';
+import ShareOfVoice from './ShareOfVoice';
+import BrandNames from './BrandNames';
+import { formatCost } from '../utils/format';
+
+const STATUS_STYLES = {
+  ok: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  empty: 'bg-gray-100 text-gray-800',
+  invalid: 'bg-red-100 text-red-800',
+  error: 'bg-red-100 text-red-800'
+};
+
+const STATUSES = Object.keys(STATUS_STYLES);
+
+// Rows rendered at a time; more are added on request
+const PAGE_SIZE = 100;
+
+const COLUMNS = [
+  { id: 'product', label: 'Product' },
+  { id: 'model', label: 'Model' },
+  { id: 'iteration', label: 'Iteration' },
+  { id: 'brands', label: 'Brands' },
+  { id: 'status', label: 'Status' },
+  { id: 'error', label: 'Error' }
+];
+
+const compareValues = (a, b) => (typeof a === 'number' && typeof b === 'number'
+  ? a - b
+  : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' }));
+
+// One table row per result, with the fields the table sorts and filters on.
+// Failed rows have an error - a failed call or an invalid structured answer -
+// and are the ones the server can re-run. A brand written differently from its
+// canonical name shows how, so the search finds either.
+function toRow({ index, result }, brandCount, passThroughColumns) {
+  const passThrough = passThroughColumns.map(column => result[column] ?? '');
+  const brands = [];
+  for (let i = 1; i <= brandCount; i++) {
+    const brand = result[`Brand ${i}`];
+    const raw = result[`Raw Brand ${i}`];
+    if (brand) brands.push(raw && raw !== brand ? `${brand} (${raw})` : brand);
+  }
+  return {
+    index,
+    result,
+    product: [...passThrough, result['Original Product']].filter(Boolean).join(' · '),
+    productKey: JSON.stringify([result['Original Product'], ...passThrough]),
+    model: result['Model'],
+    iteration: result['Iteration'],
+    brands: brands.join(', '),
+    status: result['Parse Status'],
+    error: result['Error'] || '',
+    failed: Boolean(result['Error'])
+  };
+}
+
+// Every result row of a run: a sortable, filterable table with the full
+// response of a clicked row, and a product x model grid of the top brands.
+// Failed rows can be re-run one at a time; apiKeys are the user's own keys,
+// sent with each re-run since the run itself no longer has them.
+const ResultsExplorer = ({ jobId, modelName, apiKeys = {}, onJobUpdate }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [view, setView] = useState('table');
+  const [search, setSearch] = useState('');
+  const [modelFilter, setModelFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [productFilter, setProductFilter] = useState(null);
+  const [sort, setSort] = useState({ column: null, descending: false });
+  const [shown, setShown] = useState(PAGE_SIZE);
+  const [selected, setSelected] = useState(null);
+  const [retrying, setRetrying] = useState([]);
+  const [retryErrors, setRetryErrors] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setSelected(null);
+
+    const load = async () => {
+      try {
+        const response = await fetch(`/api/jobs/${jobId}/results`);
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.error || `HTTP error! status: ${response.status}`);
+        }
+        if (!cancelled) setData(result);
+      } catch (err) {
+        console.error('Failed to load results:', err);
+        if (!cancelled) setError(`Could not load the results: ${err.message}`);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [jobId]);
+
+  const rows = useMemo(() => (data
+    ? data.results.map(entry => toRow(entry, data.brandCount, data.passThroughColumns))
+    : []), [data]);
+  const results = useMemo(() => rows.map(row => row.result), [rows]);
+
+  const filteredRows = useMemo(() => {
+    const text = search.trim().toLowerCase();
+    const matches = rows.filter(row => (
+      (!modelFilter || row.model === modelFilter) &&
+      (!statusFilter || (statusFilter === 'failed' ? row.failed : row.status === statusFilter)) &&
+      (!productFilter || row.productKey === productFilter) &&
+      (!text || [row.product, row.brands, row.error].some(value => value.toLowerCase().includes(text)))
+    ));
+    if (!sort.column) return matches;
+    const direction = sort.descending ? -1 : 1;
+    return [...matches].sort((a, b) => direction * compareValues(a[sort.column], b[sort.column]) || a.index - b.index);
+  }, [rows, search, modelFilter, statusFilter, productFilter, sort]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        <p className="text-gray-600 mt-2">Loading results...</p>
+      </div>
+    );
+  }
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <p className="text-red-800">{error}</p>
+      </div>
+    );
+  }
+
+  const failedCount = rows.filter(row => row.failed).length;
+  const canRetry = ['completed', 'cancelled'].includes(data.job.status);
+  const views = [['table', 'Table'], ['grid', 'Product × model']];
+  if (data.job.watchlist.length > 0) views.push(['shareOfVoice', 'Share of voice']);
+  views.push(['brandNames', 'Brand names']);
+
+  // Clicking a column sorts by it, again reverses it
+  const sortBy = (column) => {
+    setSort(current => ({ column, descending: current.column === column && !current.descending }));
+  };
+
+  const selectCell = (productKey, model) => {
+    setProductFilter(productKey);
+    setModelFilter(model);
+    setStatusFilter('');
+    setSearch('');
+    setView('table');
+  };
+
+  const retryResult = async (index) => {
+    setRetrying(current => [...current, index]);
+    setRetryErrors(current => ({ ...current, [index]: null }));
+    try {
+      const response = await fetch(`/api/jobs/${jobId}/results/${index}/retry`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.keys(apiKeys).length > 0 ? { apiKeys } : {})
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP error! status: ${response.status}`);
+      }
+      setData(current => ({
+        ...current,
+        job: result.job,
+        results: current.results.map(entry => (entry.index === index ? { index, result: result.result } : entry))
+      }));
+      if (onJobUpdate) onJobUpdate(result.job);
+    } catch (err) {
+      console.error('Re-run error:', err);
+      setRetryErrors(current => ({ ...current, [index]: err.message }));
+    } finally {
+      setRetrying(current => current.filter(value => value !== index));
+    }
+  };
+
+  const filtersSet = search || modelFilter || statusFilter || productFilter;
+  const clearFilters = () => {
+    setSearch('');
+    setModelFilter('');
+    setStatusFilter('');
+    setProductFilter(null);
+  };
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800">Results</h3>
+          <p className="text-sm text-gray-600">
+            {rows.length} responses
+            {failedCount > 0 && <span className="text-red-700">, {failedCount} failed</span>}
+          </p>
+        </div>
+        <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+          {views.map(([id, label]) => (
+            <button
+              key={id}
+              onClick={() => setView(id)}
+              className={`px-3 py-1.5 ${view === id ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {view === 'shareOfVoice' && (
+        <ShareOfVoice
+          results={results}
+          watchlist={data.job.watchlist}
+          brandCount={data.brandCount}
+          passThroughColumns={data.passThroughColumns}
+          modelName={modelName}
+        />
+      )}
+      {view === 'brandNames' && <BrandNames results={results} brandCount={data.brandCount} />}
+      {view === 'grid' && (
+        <ResultsGrid
+          rows={rows}
+          models={data.job.models}
+          brandCount={data.brandCount}
+          modelName={modelName}
+          onSelectCell={selectCell}
+        />
+      )}
+      {view === 'table' && (
+        <>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search products, brands and errors"
+              aria-label="Search results"
+              className="flex-1 min-w-48 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={modelFilter}
+              onChange={(e) => setModelFilter(e.target.value)}
+              aria-label="Filter by model"
+              className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All models</option>
+              {data.job.models.map(model => <option key={model} value={model}>{modelName(model)}</option>)}
+            </select>
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              aria-label="Filter by status"
+              className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All statuses</option>
+              <option value="failed">Failed only</option>
+              {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+            </select>
+            {productFilter && (
+              <span className="px-2 py-1 rounded bg-blue-50 text-blue-800">
+                {rows.find(row => row.productKey === productFilter)?.product}
+              </span>
+            )}
+            {filtersSet && (
+              <button onClick={clearFilters} className="text-blue-600 hover:underline">Clear filters</button>
+            )}
+          </div>
+
+          <div className="overflow-x-auto border border-gray-200 rounded-md">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-700 bg-gray-50 border-b border-gray-200">
+                  {COLUMNS.map(column => (
+                    <th key={column.id} className="py-2 px-2 font-medium whitespace-nowrap">
+                      <button onClick={() => sortBy(column.id)} className="hover:text-blue-700">
+                        {column.label}
+                        {sort.column === column.id && (sort.descending ? ' ▼' : ' ▲')}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {filteredRows.slice(0, shown).map(row => (
+                  <ResultRow
+                    key={row.index}
+                    row={row}
+                    modelName={modelName}
+                    expanded={selected === row.index}
+                    onToggle={() => setSelected(selected === row.index ? null : row.index)}
+                    canRetry={canRetry}
+                    retrying={retrying.includes(row.index)}
+                    retryError={retryErrors[row.index]}
+                    onRetry={() => retryResult(row.index)}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {filteredRows.length === 0 && <p className="text-gray-500 text-center">No responses match the filters.</p>}
+          {filteredRows.length > shown && (
+            <div className="text-center">
+              <button onClick={() => setShown(shown + PAGE_SIZE)} className="text-blue-600 hover:underline text-sm">
+                Show more ({filteredRows.length - shown} not shown)
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const ResultRow = ({ row, modelName, expanded, onToggle, canRetry, retrying, retryError, onRetry }) => {
+  const { result } = row;
+  const rationales = [];
+  for (let i = 1; `Rationale ${i}` in result; i++) {
+    if (result[`Rationale ${i}`]) {
+      rationales.push({ brand: result[`Brand ${i}`], rationale: result[`Rationale ${i}`], confidence: result[`Confidence ${i}`] });
+    }
+  }
+
+  return (
+    <>
+      <tr
+        onClick={onToggle}
+        className={`border-b border-gray-100 align-top cursor-pointer ${row.failed ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}`}
+      >
+        <td className="py-2 px-2 text-gray-800">{row.product}</td>
+        <td className="py-2 px-2 text-gray-800 whitespace-nowrap">{modelName(row.model)}</td>
+        <td className="py-2 px-2 text-gray-800 text-right">{row.iteration}</td>
+        <td className="py-2 px-2 text-gray-800">{row.brands}</td>
+        <td className="py-2 px-2">
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${STATUS_STYLES[row.status] || ''}`}>{row.status}</span>
+        </td>
+        <td className="py-2 px-2 text-red-700">{row.error}</td>
+      </tr>
+      {expanded && (
+        <tr className="border-b border-gray-100 bg-gray-50">
+          <td colSpan={COLUMNS.length} className="py-3 px-2 text-gray-700 space-y-2">
+            <div>
+              <span className="font-medium">Response:</span>
+              <pre className="mt-1 whitespace-pre-wrap font-mono text-xs bg-white border border-gray-200 rounded p-2">
+                {result['Recommendation'] || '(no response)'}
+              </pre>
+            </div>
+            {rationales.length > 0 && (
+              <ol className="space-y-1 list-decimal list-inside">
+                {rationales.map(entry => (
+                  <li key={entry.brand}>
+                    <span className="font-medium">{entry.brand}</span>: {entry.rationale}
+                    {typeof entry.confidence === 'number' && <span className="text-gray-500"> (confidence {entry.confidence})</span>}
+                  </li>
+                ))}
+              </ol>
+            )}
+            {row.error && (
+              <p className="text-red-700">
+                <span className="font-medium">Error{result['Error Category'] ? ` (${result['Error Category']})` : ''}:</span> {row.error}
+              </p>
+            )}
+            <p className="text-xs text-gray-500">
+              Source {result['Source']}, {result['Attempts']} attempt{result['Attempts'] === 1 ? '' : 's'}
+              {result['Re-asked'] === 'yes' && ', asked again for valid JSON'}
+              {result['Input Tokens'] !== '' && `, ${result['Input Tokens']} input / ${result['Output Tokens']} output tokens`}
+              {typeof result['Cost (USD)'] === 'number' && `, ${formatCost(result['Cost (USD)'])}`}
+              {result['Timestamp'] && `, ${new Date(result['Timestamp']).toLocaleString()}`}
+            </p>
+            {row.failed && canRetry && (
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={onRetry}
+                  disabled={retrying}
+                  className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors text-sm"
+                >
+                  {retrying ? 'Re-running...' : 'Re-run'}
+                </button>
+                {retryError && <span className="text-sm text-red-700">{retryError}</span>}
+              </div>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+};
+
+export default ResultsExplorer;
@@ -0,0 +1,91 @@
+import { brandKey } from '../../shared/brandNames';
+
+// Brands shown in each product x model cell
+const CELL_BRANDS = 3;
+
+// A product's top brands from one model across its iterations, scored the way
+// the Consensus sheet does: position 1 of a top-N list earns N points.
+function topBrands(rows, brandCount) {
+  const tally = new Map();
+  for (const row of rows) {
+    for (let i = 1; i <= brandCount; i++) {
+      const brand = row[`Brand ${i}`];
+      if (!brand) continue;
+      const entry = tally.get(brandKey(brand)) || { brand, mentions: 0, score: 0 };
+      entry.mentions++;
+      entry.score += brandCount - i + 1;
+      tally.set(brandKey(brand), entry);
+    }
+  }
+  return Array.from(tally.values())
+    .sort((a, b) => b.score - a.score || b.mentions - a.mentions || a.brand.localeCompare(b.brand))
+    .slice(0, CELL_BRANDS);
+}
+
+// Product x model overview of a run. Clicking a cell lists its rows in the table.
+const ResultsGrid = ({ rows, models, brandCount, modelName, onSelectCell }) => {
+  const products = new Map();
+  for (const row of rows) {
+    if (!products.has(row.productKey)) {
+      products.set(row.productKey, { label: row.product, cells: new Map() });
+    }
+    const cells = products.get(row.productKey).cells;
+    if (!cells.has(row.model)) cells.set(row.model, []);
+    cells.get(row.model).push(row);
+  }
+
+  return (
+    <div className="overflow-x-auto border border-gray-200 rounded-md">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-700 bg-gray-50 border-b border-gray-200">
+            <th className="py-2 px-2 font-medium">Product</th>
+            {models.map(model => (
+              <th key={model} className="py-2 px-2 font-medium whitespace-nowrap">{modelName(model)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Array.from(products.entries()).map(([productKey, { label, cells }]) => (
+            <tr key={productKey} className="border-b border-gray-100 align-top">
+              <td className="py-2 px-2 text-gray-800">{label}</td>
+              {models.map((model) => {
+                const cellRows = cells.get(model) || [];
+                const failed = cellRows.filter(row => row.failed).length;
+                const brands = topBrands(cellRows.filter(row => !row.failed).map(row => row.result), brandCount);
+
+                return (
+                  <td key={model} className="p-1">
+                    <button
+                      onClick={() => onSelectCell(productKey, model)}
+                      disabled={cellRows.length === 0}
+                      className={`w-full text-left rounded px-2 py-1 ${failed > 0 ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-100'}`}
+                    >
+                      {brands.length > 0 ? (
+                        <ol className="space-y-0.5">
+                          {brands.map(entry => (
+                            <li key={entry.brand} className="text-gray-800">
+                              {entry.brand}
+                              {cellRows.length > 1 && <span className="text-xs text-gray-500"> {entry.mentions}/{cellRows.length}</span>}
+                            </li>
+                          ))}
+                        </ol>
+                      ) : (
+                        <span className="text-gray-400">{cellRows.length === 0 ? 'Not run' : 'No brands'}</span>
+                      )}
+                      {failed > 0 && (
+                        <span className="block text-xs text-red-700 mt-1">{failed} of {cellRows.length} failed</span>
+                      )}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ResultsGrid;
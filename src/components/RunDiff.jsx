@@ -0,0 +1,111 @@
+import { useState } from 'react';
+
+// How each model's top brands changed between two runs, from GET /api/history/compare
+const RunDiff = ({ diff, modelName }) => {
+  const [onlyChanges, setOnlyChanges] = useState(true);
+
+  const products = diff.products
+    .map(product => ({
+      ...product,
+      models: onlyChanges ? product.models.filter(model => model.changed) : product.models
+    }))
+    .filter(product => product.models.length > 0);
+
+  const runLabel = (run) => `${run.fileName}, ${new Date(run.createdAt).toLocaleString()}`;
+  const productLabel = ({ product, passThrough }) => [...Object.values(passThrough), product].filter(Boolean).join(' · ');
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-6 space-y-6">
+      <div>
+        <h3 className="text-lg font-semibold text-gray-800">Comparison</h3>
+        <p className="text-sm text-gray-600">
+          From <span className="font-medium">{runLabel(diff.base)}</span> to <span className="font-medium">{runLabel(diff.compare)}</span>
+        </p>
+      </div>
+
+      {(!diff.sameFile || diff.modelsOnlyInBase.length > 0 || diff.modelsOnlyInCompare.length > 0 ||
+        diff.productsOnlyInBase.length > 0 || diff.productsOnlyInCompare.length > 0) && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+          <ul className="text-sm text-yellow-800 space-y-1">
+            {!diff.sameFile && <li>• The runs used different product files - only products in both are compared.</li>}
+            {diff.modelsOnlyInBase.length > 0 && <li>• Only in the earlier run: {diff.modelsOnlyInBase.map(modelName).join(', ')}</li>}
+            {diff.modelsOnlyInCompare.length > 0 && <li>• Only in the later run: {diff.modelsOnlyInCompare.map(modelName).join(', ')}</li>}
+            {diff.productsOnlyInBase.length > 0 && <li>• {diff.productsOnlyInBase.length} product(s) only in the earlier run</li>}
+            {diff.productsOnlyInCompare.length > 0 && <li>• {diff.productsOnlyInCompare.length} product(s) only in the later run</li>}
+          </ul>
+        </div>
+      )}
+
+      {diff.models.length === 0 ? (
+        <p className="text-gray-500">The runs have no models in common.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-700 border-b border-gray-200">
+              <th className="py-2 font-medium">Model</th>
+              <th className="py-2 font-medium text-right">Products changed</th>
+              <th className="py-2 font-medium text-right">Brands gained</th>
+              <th className="py-2 font-medium text-right">Brands lost</th>
+              <th className="py-2 font-medium text-right">Rank changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {diff.summary.map((totals) => (
+              <tr key={totals.model} className="border-b border-gray-100">
+                <td className="py-2 text-gray-800">{modelName(totals.model)}</td>
+                <td className="py-2 text-right text-gray-800">{totals.changedProducts}/{totals.products}</td>
+                <td className="py-2 text-right text-green-700">+{totals.gained}</td>
+                <td className="py-2 text-right text-red-700">−{totals.lost}</td>
+                <td className="py-2 text-right text-gray-800">{totals.rankChanges}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <label className="flex items-center space-x-2 text-gray-700">
+        <input
+          type="checkbox"
+          checked={onlyChanges}
+          onChange={(e) => setOnlyChanges(e.target.checked)}
+          className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+        <span>Only show changes</span>
+      </label>
+
+      {products.length === 0 ? (
+        <p className="text-gray-500">{onlyChanges ? 'No recommendations changed between these runs.' : 'No products to compare.'}</p>
+      ) : (
+        <div className="space-y-4">
+          {products.map((product) => (
+            <div key={productLabel(product)} className="border-t border-gray-100 pt-3">
+              <h4 className="font-medium text-gray-800 whitespace-pre-line mb-2">{productLabel(product)}</h4>
+              <ul className="space-y-2 text-sm">
+                {product.models.map((model) => (
+                  <li key={model.model} className="flex flex-wrap items-baseline gap-2">
+                    <span className="font-medium text-gray-700 w-40 shrink-0">{modelName(model.model)}</span>
+                    {model.missing && <span className="text-gray-500">No successful responses in one of the runs</span>}
+                    {!model.missing && !model.changed && <span className="text-gray-500">No change: {model.after.join(', ')}</span>}
+                    {model.gained.map(brand => (
+                      <span key={`+${brand}`} className="px-2 py-0.5 rounded bg-green-100 text-green-800">+ {brand}</span>
+                    ))}
+                    {model.lost.map(brand => (
+                      <span key={`-${brand}`} className="px-2 py-0.5 rounded bg-red-100 text-red-800 line-through">{brand}</span>
+                    ))}
+                    {model.rankChanges.map(move => (
+                      <span key={`~${move.brand}`} className="px-2 py-0.5 rounded bg-gray-100 text-gray-800">
+                        {move.brand} #{move.before} → #{move.after} {move.change > 0 ? '▲' : '▼'}
+                      </span>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RunDiff;
@@ -0,0 +1,96 @@
+import { formatDuration } from '../utils/format';
+
+const FORMAT_NAMES = { delimited: 'Delimited text', workbook: 'Excel workbook', json: 'JSON', jsonl: 'JSON Lines' };
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab' };
+
+// The server's reading of the file and settings, from POST /api/preview.
+// Generate stays disabled until this has loaded for the current settings.
+const RunPreview = ({ preview, loading, error, modelName }) => {
+  if (loading) {
+    return <p className="text-sm text-gray-500">Checking the file...</p>;
+  }
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <p className="text-red-800">{error}</p>
+      </div>
+    );
+  }
+  if (!preview) {
+    return <p className="text-sm text-gray-500">Upload a file and select models to preview the run.</p>;
+  }
+
+  const fileDetails = [
+    FORMAT_NAMES[preview.format],
+    preview.delimiter && `${DELIMITER_NAMES[preview.delimiter] || preview.delimiter} separated`,
+    preview.encoding,
+    preview.sheetName && `sheet "${preview.sheetName}"`
+  ].filter(Boolean).join(', ');
+  const overrides = Object.entries(preview.sample.systemPrompts);
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-700 space-y-1">
+        <p>
+          <strong>{preview.totalRows}</strong> product rows, <strong>{preview.totalCalls}</strong> calls in total,
+          taking {formatDuration(preview.duration.seconds)}.
+        </p>
+        <p className="text-gray-500">Read as: {fileDetails}</p>
+      </div>
+
+      {preview.warnings.length > 0 ? (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3">
+          <h4 className="text-sm font-semibold text-yellow-800 mb-1">Check the file before running</h4>
+          <ul className="text-sm text-yellow-800 space-y-1">
+            {preview.warnings.map(warning => <li key={warning}>• {warning}</li>)}
+          </ul>
+        </div>
+      ) : (
+        <p className="text-sm text-green-700">No problems found in the file.</p>
+      )}
+
+      <div className="overflow-x-auto border border-gray-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-700 bg-gray-50 border-b border-gray-200">
+              <th className="py-2 px-2 font-medium text-right">Row</th>
+              {preview.columns.map(column => (
+                <th key={column} className="py-2 px-2 font-medium whitespace-nowrap">{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {preview.rows.map(({ row, values }) => (
+              <tr key={row} className="border-b border-gray-100">
+                <td className="py-1 px-2 text-right text-gray-500">{row}</td>
+                {preview.columns.map(column => (
+                  <td key={column} className="py-1 px-2 text-gray-800">{values[column]}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {preview.totalRows > preview.rows.length && (
+        <p className="text-xs text-gray-500">First {preview.rows.length} of {preview.totalRows} rows. Row numbers count from the first row under the header.</p>
+      )}
+
+      <div className="bg-gray-50 border border-gray-200 rounded-md p-3">
+        <h4 className="text-sm font-semibold text-gray-800 mb-1">Prompt for row {preview.sample.row}</h4>
+        {preview.sample.systemPrompt && (
+          <p className="text-xs text-gray-500 mb-1 whitespace-pre-wrap">{preview.sample.systemPrompt}</p>
+        )}
+        <p className="text-sm text-gray-700 whitespace-pre-wrap font-mono">{preview.sample.prompt}</p>
+        {overrides.length > 0 && (
+          <ul className="text-xs text-gray-500 mt-2 space-y-1">
+            {overrides.map(([modelKey, systemPrompt]) => (
+              <li key={modelKey}>{modelName(modelKey)} uses its own system prompt: {systemPrompt || 'none'}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RunPreview;
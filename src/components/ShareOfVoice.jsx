@@ -0,0 +1,78 @@
+import { useMemo, useState } from 'react';
+import { ALL_PRODUCTS, buildShareOfVoice } from '../../shared/shareOfVoice';
+
+// The watchlist brands' mention rates and ranks, the same figures as the
+// "Share of Voice" export sheet. Starts with each model across all products.
+const ShareOfVoice = ({ results, watchlist, brandCount, passThroughColumns, modelName }) => {
+  const [product, setProduct] = useState(ALL_PRODUCTS);
+
+  const rows = useMemo(
+    () => buildShareOfVoice(results, watchlist, { brandCount, passThroughColumns }),
+    [results, watchlist, brandCount, passThroughColumns]
+  );
+
+  const productLabel = (row) => [...passThroughColumns.map(column => row[column]), row['Product']].filter(Boolean).join(' · ');
+  const products = [];
+  for (const row of rows) {
+    const label = productLabel(row);
+    if (row['Product'] !== ALL_PRODUCTS && !products.includes(label)) products.push(label);
+  }
+  const shown = rows.filter(row => (product === ALL_PRODUCTS ? row['Product'] === ALL_PRODUCTS : productLabel(row) === product));
+
+  if (rows.length === 0) {
+    return <p className="text-gray-500">No successful responses to count.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <select
+        value={product}
+        onChange={(e) => setProduct(e.target.value)}
+        aria-label="Product"
+        className="px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+      >
+        <option value={ALL_PRODUCTS}>{ALL_PRODUCTS}</option>
+        {products.map(label => <option key={label} value={label}>{label}</option>)}
+      </select>
+
+      <div className="overflow-x-auto border border-gray-200 rounded-md">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-700 bg-gray-50 border-b border-gray-200">
+              <th className="py-2 px-2 font-medium">Model</th>
+              <th className="py-2 px-2 font-medium">Brand</th>
+              <th className="py-2 px-2 font-medium">Mention rate</th>
+              <th className="py-2 px-2 font-medium text-right">Average rank</th>
+              <th className="py-2 px-2 font-medium text-right">Best rank</th>
+              <th className="py-2 px-2 font-medium">Mentioned with</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(row => (
+              <tr key={`${row['Model']}:${row['Brand']}`} className={`border-b border-gray-100 ${row['Role'] === 'Own' ? 'bg-blue-50' : ''}`}>
+                <td className="py-2 px-2 text-gray-800 whitespace-nowrap">{modelName(row['Model'])}</td>
+                <td className="py-2 px-2 text-gray-800 whitespace-nowrap">
+                  {row['Brand']}
+                  {row['Role'] === 'Own' && <span className="ml-2 text-xs text-blue-700">ours</span>}
+                </td>
+                <td className="py-2 px-2 text-gray-800 whitespace-nowrap">
+                  <div className="flex items-center gap-2">
+                    <div className="w-24 h-2 bg-gray-200 rounded">
+                      <div className="h-2 bg-blue-600 rounded" style={{ width: `${row['Mention Rate (%)'] || 0}%` }}></div>
+                    </div>
+                    <span>{row['Mention Rate (%)']}% <span className="text-xs text-gray-500">({row['Mentions']}/{row['Responses']})</span></span>
+                  </div>
+                </td>
+                <td className="py-2 px-2 text-gray-800 text-right">{row['Average Rank'] || '—'}</td>
+                <td className="py-2 px-2 text-gray-800 text-right">{row['Best Rank'] || '—'}</td>
+                <td className="py-2 px-2 text-gray-600">{row['Mentioned With']}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ShareOfVoice;
@@ -0,0 +1,78 @@
+import { MAX_WATCHLIST_BRANDS } from '../../shared/shareOfVoice';
+
+const emptyEntry = () => ({ brand: '', aliases: '', own: false });
+
+// Brands to report share of voice for, each with the other names models use
+// for it. Aliases are typed comma separated and split when the job is sent.
+const Watchlist = ({ entries, errors, onChange }) => {
+  const filledCount = entries.filter(entry => entry.brand.trim()).length;
+
+  const setEntry = (index, changes) => {
+    onChange(entries.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  return (
+    <details className="border border-gray-200 rounded-md p-4" open={filledCount > 0}>
+      <summary className="font-medium text-gray-800 cursor-pointer">
+        Share of voice watchlist
+        {filledCount > 0 && <span className="ml-2 text-sm font-normal text-gray-600">({filledCount} brand{filledCount === 1 ? '' : 's'})</span>}
+      </summary>
+
+      <div className="mt-4 space-y-3">
+        {entries.map((entry, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-3">
+            <input
+              type="text"
+              value={entry.brand}
+              onChange={(e) => setEntry(index, { brand: e.target.value })}
+              placeholder="Brand"
+              aria-label={`Watchlist brand ${index + 1}`}
+              className="w-40 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+            <input
+              type="text"
+              value={entry.aliases}
+              onChange={(e) => setEntry(index, { aliases: e.target.value })}
+              placeholder="Other names, comma separated"
+              aria-label={`Other names for watchlist brand ${index + 1}`}
+              className="flex-1 min-w-48 px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+            />
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={entry.own}
+                onChange={(e) => setEntry(index, { own: e.target.checked })}
+                className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              <span>Our brand</span>
+            </label>
+            <button
+              onClick={() => onChange(entries.filter((_entry, i) => i !== index))}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+
+        {entries.length < MAX_WATCHLIST_BRANDS && (
+          <button onClick={() => onChange([...entries, emptyEntry()])} className="text-sm text-blue-600 hover:text-blue-800">
+            + Add brand
+          </button>
+        )}
+
+        {errors.length > 0 && (
+          <ul className="text-sm text-red-700 space-y-1">
+            {errors.map(message => <li key={message}>• {message}</li>)}
+          </ul>
+        )}
+
+        <p className="text-sm text-gray-500">
+          For every product and model, the results report how often each brand is recommended, its average rank when it is, and the brands recommended alongside it. A name matches a recommended brand it equals or contains as whole words, ignoring case, accents and punctuation - so "Philips" also counts "Philips Hue".
+        </p>
+      </div>
+    </details>
+  );
+};
+
+export default Watchlist;
@@ -0,0 +1,28 @@
+// The brand alias dictionary, served by GET/PUT /api/brand-aliases
+
+const readResponse = async (response) => {
+  const result = await response.json();
+  if (!response.ok) {
+    const error = new Error(result.error || `HTTP error! status: ${response.status}`);
+    error.dictionaryErrors = result.dictionaryErrors || [];
+    throw error;
+  }
+  return result.dictionary;
+};
+
+export const fetchBrandAliases = async () => readResponse(await fetch('/api/brand-aliases'));
+
+// Resolves with the dictionary as the server stored it; rejects with the
+// problems in error.dictionaryErrors when it isn't valid
+export const saveBrandAliases = async (dictionary) => readResponse(await fetch('/api/brand-aliases', {
+  method: 'PUT',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ dictionary })
+}));
+
+// Adds aliases for one brand to the dictionary as it is on the server
+export const addBrandAliases = async (brand, aliases) => readResponse(await fetch('/api/brand-aliases/aliases', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ brand, aliases })
+}));
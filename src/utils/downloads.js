@@ -0,0 +1,22 @@
+// Result downloads, served by GET /api/jobs/:id/download
+
+export const EXPORT_FORMATS = [
+  { id: 'xlsx', name: 'Excel (.xlsx)' },
+  { id: 'csv', name: 'CSV' },
+  { id: 'json', name: 'JSON' },
+  { id: 'jsonl', name: 'JSON Lines' },
+  { id: 'parquet', name: 'Parquet' }
+];
+
+export const downloadUrl = (jobId, format = 'xlsx', sheetPerModel = false) =>
+  `/api/jobs/${jobId}/download?format=${format}${format === 'xlsx' && sheetPerModel ? '&sheetPerModel=true' : ''}`;
+
+// The server names the file through Content-Disposition
+export const downloadFile = (url) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+};
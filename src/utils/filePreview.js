@@ -0,0 +1,105 @@
+import {
+  FILE_FORMAT,
+  decodeText,
+  detectDelimiter,
+  detectFileFormat,
+  normalizeRecords,
+  parseJsonRecords
+} from '../../shared/productFile';
+
+// Reads just enough of a product file in the browser to know its columns and
+// first rows, so the prompt editor can preview and validate before uploading.
+
+const PREVIEW_BYTES = 64 * 1024;
+
+// Split delimited text into rows of fields, honouring quoted fields and "" escapes
+function parseRows(text, delimiter, maxRows) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if ((field || row.length > 0) && rows.length < maxRows) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function previewDelimited(text, maxRows) {
+  const [header = [], ...dataRows] = parseRows(text, detectDelimiter(text), maxRows + 1)
+    .filter(row => row.some(value => value.trim() !== ''));
+
+  const columns = header.map(column => column.trim());
+  const rows = dataRows.map(values =>
+    Object.fromEntries(columns.map((column, index) => [column, values[index] ?? '']))
+  );
+
+  return { columns, rows };
+}
+
+// Workbooks have to be read whole; the xlsx library is only loaded when one is picked
+async function previewWorkbook(file, sheetName, maxRows) {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', sheetRows: maxRows + 1 });
+  const sheet = workbook.Sheets[sheetName] ? sheetName : workbook.SheetNames[0];
+  const records = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { defval: '', raw: false });
+
+  return { ...normalizeRecords(records), sheetNames: workbook.SheetNames, sheetName: sheet };
+}
+
+// Resolves with { columns, rows } plus, for workbooks, { sheetNames, sheetName }
+export async function readFilePreview(file, { sheetName, maxRows = 5 } = {}) {
+  const format = detectFileFormat(file.name);
+
+  if (format === FILE_FORMAT.WORKBOOK) {
+    return previewWorkbook(file, sheetName, maxRows);
+  }
+
+  // A JSON array can't be parsed from a partial read
+  const bytes = format === FILE_FORMAT.JSON
+    ? await file.arrayBuffer()
+    : await file.slice(0, PREVIEW_BYTES).arrayBuffer();
+  const truncated = format !== FILE_FORMAT.JSON && file.size > PREVIEW_BYTES;
+  const { text } = decodeText(new Uint8Array(bytes), { truncated });
+
+  if (format === FILE_FORMAT.JSON || format === FILE_FORMAT.JSONL) {
+    // The last line of a partial JSON Lines read may be cut off
+    const complete = truncated
+      ? text.slice(0, text.lastIndexOf('\n'))
+      : text;
+    const { columns, rows } = normalizeRecords(parseJsonRecords(complete, format, maxRows));
+    return { columns, rows };
+  }
+
+  return previewDelimited(text, maxRows);
+}
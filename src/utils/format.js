@@ -0,0 +1,11 @@
+// Small display helpers shared by components
+
+export const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+// Rough durations: "under a minute", "about 4 minutes", "about 2.5 hours"
+export const formatDuration = (seconds) => {
+  if (seconds < 60) return 'under a minute';
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 90) return `about ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  return `about ${Math.round(minutes / 30) / 2} hours`;
+};